@@ -0,0 +1,151 @@
+// Relay for synchronized galleries on separate machines (see src/sync.js).
+// Every message is passed on to the other clients connected on the same
+// path, and clock pings are answered with the relay's time.
+//
+//   node scripts/sync-relay.js [port]
+//
+// Then set sync: { url: 'ws://<this machine>:8787/<channel>' } on the galleries.
+// Plain Node, no dependencies: only what the galleries send is supported,
+// unfragmented text frames of JSON.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8787);
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const channels = new Map(); // path -> Set of sockets
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Gallery sync relay, connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+
+  const path = req.url;
+  if (!channels.has(path)) channels.set(path, new Set());
+  const peers = channels.get(path);
+  peers.add(socket);
+  console.log(`${socket.remoteAddress} joined ${path} (${peers.size} connected)`);
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', data => {
+    buffer = Buffer.concat([buffer, data]);
+    let frame;
+    while ((frame = readFrame(buffer))) {
+      buffer = buffer.subarray(frame.length);
+      handleFrame(socket, peers, frame);
+    }
+  });
+
+  socket.on('close', () => {
+    peers.delete(socket);
+    if (peers.size === 0) channels.delete(path);
+    console.log(`${socket.remoteAddress} left ${path}`);
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+function handleFrame(socket, peers, { opcode, payload }) {
+  switch (opcode) {
+    case 0x1: {
+      const text = payload.toString('utf8');
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        return;
+      }
+
+      if (message.type === 'ping') {
+        const relayTime = performance.timeOrigin + performance.now();
+        socket.write(encodeFrame(0x1, JSON.stringify({ type: 'pong', sentAt: message.sentAt, relayTime })));
+        return;
+      }
+
+      const frame = encodeFrame(0x1, text);
+      peers.forEach(peer => {
+        if (peer !== socket) peer.write(frame);
+      });
+      break;
+    }
+    case 0x8: // Close
+      socket.end(encodeFrame(0x8, ''));
+      break;
+    case 0x9: // Ping
+      socket.write(encodeFrame(0xA, payload));
+      break;
+  }
+}
+
+// Next complete frame in `buffer`, null until all of it has arrived
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+
+  return { opcode, payload, length: offset + length };
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, data) {
+  const payload = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+server.listen(PORT, () => {
+  console.log(`Gallery sync relay listening on ws://localhost:${PORT}/<channel>`);
+});
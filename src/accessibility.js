@@ -0,0 +1,89 @@
+////////////////////
+// ACCESSIBILITY
+////////////////////
+
+// The canvas itself means nothing to assistive technology. The container is
+// turned into a focusable, labelled carousel region, the canvas is labelled
+// with the current slide's alt text and slide changes are announced through
+// a polite live region.
+
+// Whether transitions should avoid motion, `setting` is the reducedMotion option
+export function prefersReducedMotion(setting) {
+  if (setting !== 'auto') return !!setting;
+  return typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// "Image 3 of 20: <alt>", the alt part is left out when the slide has none
+export function describeSlide(gallery, index) {
+  const { alt } = gallery.slides[index];
+  const position = `Image ${index + 1} of ${gallery.slides.length}`;
+  return alt ? `${position}: ${alt}` : position;
+}
+
+// Label the container and canvas and announce slide changes.
+// Returns a function that removes the live region and restores the attributes.
+export function setupAccessibility(gallery, element, canvas) {
+  const restoreElement = saveAttributes(element, ['tabindex', 'role', 'aria-roledescription', 'aria-label']);
+  const restoreCanvas = saveAttributes(canvas, ['role', 'aria-label']);
+
+  // Keep a tabindex the page set itself
+  if (!element.hasAttribute('tabindex')) {
+    element.tabIndex = 0;
+  }
+  element.setAttribute('role', 'region');
+  element.setAttribute('aria-roledescription', 'carousel');
+  element.setAttribute('aria-label', gallery.config.label);
+  canvas.setAttribute('role', 'img');
+
+  let region = null;
+  if (gallery.config.announce) {
+    region = document.createElement('div');
+    region.className = 'gallery-announcer';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    // Visually hidden but still read out
+    Object.assign(region.style, {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: '0',
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap',
+      border: '0'
+    });
+    element.appendChild(region);
+  }
+
+  const removeListener = gallery.on('slidechange', ({ index }) => {
+    canvas.setAttribute('aria-label', gallery.slides[index].alt || `Image ${index + 1}`);
+    if (region) {
+      region.textContent = describeSlide(gallery, index);
+    }
+  });
+
+  return () => {
+    removeListener();
+    if (region) region.remove();
+    restoreElement();
+    restoreCanvas();
+  };
+}
+
+// Remember attribute values, returns a function that puts them back
+function saveAttributes(element, names) {
+  const saved = names.map(name => [name, element.getAttribute(name)]);
+
+  return () => {
+    for (const [name, value] of saved) {
+      if (value === null) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+    }
+  };
+}
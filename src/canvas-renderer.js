@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { DEFAULT_EFFECT, getEffect } from './effects.js';
+import { visibleArea } from './layout.js';
+
+////////////////////
+// CANVAS FALLBACK
+////////////////////
+
+// Stand-ins for THREE.WebGLRenderer and Slide where WebGL isn't available.
+// The gallery runs unchanged on top of them: slides are still objects in the
+// scene, sized and timed the same way, but drawn with Canvas 2D as flat
+// images that crossfade instead of breaking apart. Navigation, scrubbing,
+// captions and the rest work as with WebGL.
+
+// The parts of THREE.WebGLRenderer that THREERoot, the gallery and the
+// exporter use
+export class CanvasRenderer {
+  constructor() {
+    this.isCanvasRenderer = true;
+    this.domElement = document.createElement('canvas');
+    this.context = this.domElement.getContext('2d');
+    this.pixelRatio = 1;
+    this.width = 1;
+    this.height = 1;
+    this.clearColor = new THREE.Color(0x000000);
+    this.clearAlpha = 0; // Transparent, like a WebGLRenderer created with alpha
+  }
+
+  setPixelRatio(pixelRatio) {
+    this.pixelRatio = pixelRatio;
+    this.setSize(this.width, this.height, false);
+  }
+
+  getPixelRatio() {
+    return this.pixelRatio;
+  }
+
+  setSize(width, height, updateStyle = true) {
+    this.width = width;
+    this.height = height;
+    this.domElement.width = Math.floor(width * this.pixelRatio);
+    this.domElement.height = Math.floor(height * this.pixelRatio);
+
+    if (updateStyle) {
+      this.domElement.style.width = `${width}px`;
+      this.domElement.style.height = `${height}px`;
+    }
+  }
+
+  setClearColor(color, alpha = 1) {
+    this.clearColor.set(color);
+    this.clearAlpha = alpha;
+  }
+
+  getClearColor(target) {
+    return target.copy(this.clearColor);
+  }
+
+  getClearAlpha() {
+    return this.clearAlpha;
+  }
+
+  // Draw the CanvasSlides of `scene` in order, later ones on top
+  render(scene, camera) {
+    const { width, height } = this.domElement;
+    const context = this.context;
+
+    context.globalAlpha = 1;
+    context.clearRect(0, 0, width, height);
+    if (this.clearAlpha > 0) {
+      context.globalAlpha = this.clearAlpha;
+      context.fillStyle = `#${this.clearColor.getHexString()}`;
+      context.fillRect(0, 0, width, height);
+    }
+
+    // Canvas pixels per world unit in the slides' plane
+    const scale = height / visibleArea(camera).height;
+
+    for (const slide of scene.children) {
+      const image = slide.isCanvasSlide && slide.visible && slide.texture?.image;
+      if (!image || slide.opacity <= 0) continue;
+
+      const slideWidth = slide.width * slide.scale.x * scale;
+      const slideHeight = slide.height * slide.scale.y * scale;
+      context.globalAlpha = slide.opacity;
+      context.drawImage(
+        image,
+        width / 2 + slide.position.x * scale - slideWidth / 2,
+        height / 2 - slide.position.y * scale - slideHeight / 2,
+        slideWidth,
+        slideHeight
+      );
+    }
+
+    context.globalAlpha = 1;
+  }
+
+  dispose() {}
+
+  forceContextLoss() {}
+}
+
+// A slide drawn by CanvasRenderer, with the interface of Slide. Its time runs
+// from 0 to 1: coming in it fades in, going out it fades out. The effect,
+// seed, detail, params and delay map are only kept so the gallery can
+// compare slides like it does with Slide.
+export class CanvasSlide extends THREE.Object3D {
+  static async create(width, height, animationPhase, effectName = DEFAULT_EFFECT, seed = null, detail = 1, params = null, delayMap = null, sweep = 'right') {
+    return new CanvasSlide(width, height, animationPhase, effectName, seed, detail, params, delayMap, sweep);
+  }
+
+  constructor(width, height, animationPhase, effectName = DEFAULT_EFFECT, seed = null, detail = 1, params = null, delayMap = null, sweep = 'right') {
+    super();
+
+    this.isCanvasSlide = true;
+    this.totalDuration = 1;
+    this.time = 0;
+    this.phase = animationPhase;
+    this.texture = null;
+    this.effectName = getEffect(effectName).name;
+    this.seed = seed;
+    this.width = width;
+    this.height = height;
+    this.detail = detail;
+    this.params = params;
+    this.delayMapKey = delayMap?.key ?? null;
+    this.sweep = sweep;
+  }
+
+  get opacity() {
+    const shown = THREE.MathUtils.clamp(this.time / this.totalDuration, 0, 1);
+    return this.phase === 'in' ? shown : 1 - shown;
+  }
+
+  setTexture(texture) {
+    this.texture = texture;
+  }
+
+  transition(duration) {
+    return gsap.fromTo(this,
+      { time: 0.0 },
+      { time: this.totalDuration, duration, ease: 'none' }
+    );
+  }
+
+  rewind(duration) {
+    return gsap.fromTo(this,
+      { time: this.time },
+      { time: 0.0, duration, ease: 'none' }
+    );
+  }
+
+  dispose() {}
+}
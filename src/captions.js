@@ -0,0 +1,198 @@
+import { parseImageMetadata } from './metadata.js';
+import { prefersReducedMotion } from './accessibility.js';
+
+////////////////////
+// CAPTIONS
+////////////////////
+
+// A caption overlay showing the current slide's title, caption, credit and
+// date. The caption follows the transition timeline rather than the clock:
+// it fades out over the first part of the transition, switches text halfway
+// and fades back in at the end, so scrubbing, reverting and exporting keep
+// it in step with the slides.
+//
+// Fields come from, in order of precedence, the playlist entry (`title`,
+// `caption`, `credit`, `date`), a sidecar JSON file per image (see the
+// captionSidecar option) and the image's own EXIF/IPTC metadata.
+
+// Transition progress where the old caption is gone and where the new one starts to appear
+const EXIT_END = 0.3;
+const ENTER_START = 0.7;
+
+// Create it before the first 'slidechange'. Returns a function that removes the overlay.
+export function createCaptionLayer(gallery, container) {
+  const captions = new Map(); // index -> Promise of the caption fields
+
+  const layer = document.createElement('div');
+  layer.className = 'gallery-caption';
+  layer.hidden = true; // Until the first slide's fields are loaded
+  Object.assign(layer.style, {
+    position: 'absolute',
+    left: '24px',
+    bottom: '88px',
+    maxWidth: 'min(40em, calc(100% - 48px))',
+    padding: '12px 16px',
+    borderRadius: '4px',
+    background: 'rgba(0, 0, 0, 0.6)',
+    color: '#fff',
+    font: '15px/1.4 sans-serif',
+    pointerEvents: 'none',
+    zIndex: '1'
+  });
+  container.appendChild(layer);
+
+  let shownIndex = null; // Slide whose text is in the layer
+
+  function captionFor(index) {
+    if (!captions.has(index)) {
+      captions.set(index, loadCaption(gallery, gallery.slides[index]));
+    }
+    return captions.get(index);
+  }
+
+  function showText(index) {
+    if (shownIndex === index) return;
+    shownIndex = index;
+    layer.replaceChildren();
+    layer.hidden = true;
+
+    captionFor(index).then(fields => {
+      // Another slide took over while the fields were loading
+      if (shownIndex !== index) return;
+      renderFields(layer, fields);
+      layer.hidden = layer.childElementCount === 0;
+    });
+  }
+
+  // Visibility of the layer as a function of the transition progress
+  function render(from, to, progress) {
+    let visibility;
+    if (progress < EXIT_END) {
+      visibility = 1 - progress / EXIT_END;
+    } else if (progress < ENTER_START) {
+      visibility = 0;
+    } else {
+      visibility = (progress - ENTER_START) / (1 - ENTER_START);
+    }
+
+    showText(progress < 0.5 ? from : to);
+    layer.style.opacity = visibility;
+    layer.style.transform = prefersReducedMotion(gallery.config.reducedMotion) ? '' : `translateY(${(1 - visibility) * 12}px)`;
+  }
+
+  const removeListeners = [
+    gallery.on('transitionstart', ({ to }) => captionFor(to)),
+    gallery.on('progress', ({ from, to, progress }) => render(from, to, progress)),
+    // Canceling rewinds the timeline without progress events
+    gallery.on('transitioncancel', ({ from }) => render(from, from, 1)),
+    gallery.on('slidechange', ({ index }) => {
+      render(index, index, 1);
+      // Have the neighbours' fields ready before their transitions reach halfway
+      const count = gallery.slides.length;
+      captionFor((index + 1) % count);
+      captionFor((index - 1 + count) % count);
+    })
+  ];
+
+  return () => {
+    removeListeners.forEach(remove => remove());
+    layer.remove();
+  };
+}
+
+// Merge the caption fields of a slide from all sources, the playlist entry wins
+async function loadCaption(gallery, slide) {
+  const [sidecar, metadata] = await Promise.all([
+    loadSidecar(gallery.config.captionSidecar, slide.src),
+    gallery.config.captionMetadata && slide.type !== 'video' ? loadMetadata(slide.src) : {}
+  ]);
+
+  const playlist = {
+    title: slide.title,
+    caption: slide.caption,
+    credit: slide.credit,
+    date: slide.date
+  };
+
+  const fields = {
+    title: metadata.title,
+    caption: metadata.description,
+    credit: metadata.artist,
+    date: metadata.date
+  };
+  for (const source of [sidecar, playlist]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined && value !== null && value !== '') {
+        fields[key] = value;
+      }
+    }
+  }
+
+  return fields;
+}
+
+// The sidecar URL is `template` with {src} replaced by the image URL and
+// {base} by the image URL without its extension, e.g. '{base}.json'
+async function loadSidecar(template, src) {
+  if (!template) return {};
+
+  const base = src.replace(/\.[^./?#]+([?#].*)?$/, '');
+  const url = template.replaceAll('{src}', src).replaceAll('{base}', base);
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return {};
+    const fields = await response.json();
+    // Valid JSON that isn't an object of fields counts as no sidecar
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+      console.warn(`Ignoring caption sidecar '${url}', it is not a JSON object`);
+      return {};
+    }
+    return fields;
+  } catch (err) {
+    console.warn(`Could not load caption sidecar '${url}':`, err);
+    return {};
+  }
+}
+
+async function loadMetadata(src) {
+  try {
+    const response = await fetch(src);
+    if (!response.ok) return {};
+    return parseImageMetadata(await response.arrayBuffer());
+  } catch (err) {
+    console.warn(`Could not read metadata of '${src}':`, err);
+    return {};
+  }
+}
+
+function renderFields(layer, { title, caption, credit, date }) {
+  if (title) {
+    const heading = document.createElement('strong');
+    heading.style.display = 'block';
+    heading.textContent = title;
+    layer.appendChild(heading);
+  }
+
+  if (caption) {
+    const text = document.createElement('div');
+    text.textContent = caption;
+    layer.appendChild(text);
+  }
+
+  const details = [credit, date && formatDate(date)].filter(Boolean);
+  if (details.length > 0) {
+    const meta = document.createElement('div');
+    meta.style.opacity = '0.75';
+    meta.style.fontSize = '13px';
+    meta.textContent = details.join(' · ');
+    layer.appendChild(meta);
+  }
+}
+
+// Show 'YYYY-MM-DD' dates in the viewer's locale, anything else as written
+function formatDate(date) {
+  const match = String(date).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return String(date);
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).toLocaleDateString();
+}
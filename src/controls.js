@@ -0,0 +1,363 @@
+import * as THREE from 'three';
+
+// Keyboard controls for gallery navigation, scoped to `target` (usually the
+// focusable gallery container). Returns a function that removes the listener.
+export function setupKeyboardControls(gallery, target = window) {
+  function onKeyDown(e) {
+    // Leave browser shortcuts alone, and let focused buttons handle Space and Enter
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if ((e.key === ' ' || e.key === 'Enter') && e.target.closest?.('button, a, input, select, textarea')) return;
+
+    // Up and down keys scroll the page unless the gallery is vertical
+    if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && gallery.config.transitionAxis !== 'vertical') return;
+
+    switch(e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+      case ' ':
+      case 'Enter':
+        e.preventDefault();
+        gallery.next();
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        e.preventDefault();
+        gallery.previous();
+        break;
+      case 'Home':
+        e.preventDefault();
+        gallery.goTo(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        gallery.goTo(gallery.slides.length - 1);
+        break;
+      case 'p':
+      case 'P':
+        gallery.togglePause();
+        break;
+      case 'k':
+      case 'K':
+        gallery.toggleVideo();
+        break;
+      case 'r':
+      case 'R':
+        gallery.reset();
+        break;
+      case 'g':
+      case 'G':
+        if (gallery.thumbnails) gallery.thumbnails.toggle();
+        break;
+    }
+  }
+
+  target.addEventListener('keydown', onKeyDown);
+  return () => target.removeEventListener('keydown', onKeyDown);
+}
+
+// Visible previous / pause / next buttons over the bottom of the gallery.
+// Returns a function that removes them.
+export function createControlBar(gallery, element) {
+  const bar = document.createElement('div');
+  bar.className = 'gallery-controls';
+  Object.assign(bar.style, {
+    position: 'absolute',
+    left: '50%',
+    bottom: '32px',
+    transform: 'translateX(-50%)',
+    display: 'flex',
+    gap: '8px',
+    zIndex: '1'
+  });
+
+  function addButton(className, label, text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.setAttribute('aria-label', label);
+    button.textContent = text;
+    // At least 44px square, the WCAG target size
+    Object.assign(button.style, {
+      minWidth: '44px',
+      minHeight: '44px',
+      font: '20px sans-serif',
+      color: '#fff',
+      background: 'rgba(0, 0, 0, 0.6)',
+      border: '1px solid rgba(255, 255, 255, 0.7)',
+      borderRadius: '4px',
+      cursor: 'pointer'
+    });
+    button.addEventListener('click', onClick);
+    bar.appendChild(button);
+    return button;
+  }
+
+  addButton('gallery-previous', 'Previous image', '\u2039', () => gallery.previous());
+  const pauseButton = addButton('gallery-pause', '', '', () => (canPlay() ? gallery.play() : gallery.pause()));
+  addButton('gallery-next', 'Next image', '\u203A', () => gallery.next());
+
+  if (gallery.thumbnails && gallery.thumbnails.layout === 'grid') {
+    addButton('gallery-overview', 'Show all images', '\u25A6', () => gallery.thumbnails.open());
+  }
+
+  // Offers to play while the slideshow is stopped or paused by the user
+  function canPlay() {
+    return gallery.isPaused || !gallery.config.autoAdvance;
+  }
+
+  function updatePauseButton() {
+    pauseButton.setAttribute('aria-label', canPlay() ? 'Play slideshow' : 'Pause slideshow');
+    pauseButton.textContent = canPlay() ? '\u25B6' : '\u275A\u275A';
+  }
+  updatePauseButton();
+  const removeListener = gallery.on('playbackchange', updatePauseButton);
+
+  // The bar is positioned against the container
+  const restorePosition = element.style.position;
+  if (getComputedStyle(element).position === 'static') {
+    element.style.position = 'relative';
+  }
+  element.appendChild(bar);
+
+  return () => {
+    removeListener();
+    bar.remove();
+    element.style.position = restorePosition;
+  };
+}
+
+// Scrubbing settings, override them with the options passed to createTweenScrubber()
+export const SCRUB_DEFAULTS = {
+  threshold: 30,       // Pixels to drag before a new transition starts
+  dragDistance: 0.75,  // Fraction of the element's width that scrubs through a whole transition
+  flingVelocity: 1.5,  // Progress per second on release above which the gesture's direction wins
+  maxFlingSpeed: 6,    // Fastest time scale for finishing or reverting a flung transition
+  wheel: true,         // Scrub with horizontal wheel and trackpad swipes
+  wheelIdle: 150       // Milliseconds without wheel events that end a wheel gesture
+};
+
+// Drag on the gallery element to scrub the active transition, or to start one
+// when none is running: dragging right goes to the next slide, left to the
+// previous one. With a vertical transitionAxis dragging up goes to the next
+// slide and down to the previous one. On release the transition finishes, or
+// reverts to the original slide when it was dragged back past halfway or
+// flung backwards. Returns a function that removes the listeners.
+export function createTweenScrubber(galleryInstance, element, options = {}) {
+  const settings = { ...SCRUB_DEFAULTS, ...options };
+  const removeListeners = [];
+  let gesture = null; // { pointerId, startX, lastX, lastTime, velocity, direction, moved } while dragging or wheeling, x along the gallery's axis
+  let scrubbedTransition = null; // Transition detail between 'scrubstart' and 'scrubend'
+  let wheelTimer = null;
+
+  function isVertical() {
+    return galleryInstance.config.transitionAxis === 'vertical';
+  }
+
+  // Pointer position along the gallery's axis, growing towards the next slide
+  function axisPosition(e) {
+    return isVertical() ? -e.clientY : e.clientX;
+  }
+
+  // The timeline of a transition that is on screen, not one still being prepared
+  function activeTimeline() {
+    return galleryInstance.activeTransition ? galleryInstance.timeline : null;
+  }
+
+  function emitScrub(type) {
+    galleryInstance.emit(type, {
+      ...scrubbedTransition,
+      progress: galleryInstance.timeline ? galleryInstance.timeline.progress() : 0
+    });
+  }
+
+  function startScrubbing() {
+    if (!scrubbedTransition && galleryInstance.activeTransition) {
+      scrubbedTransition = galleryInstance.activeTransition;
+      emitScrub('scrubstart');
+    }
+  }
+
+  function endScrubbing() {
+    if (scrubbedTransition) {
+      emitScrub('scrubend');
+      scrubbedTransition = null;
+    }
+  }
+
+  function beginGesture(x, time, pointerId) {
+    gesture = { pointerId, startX: x, lastX: x, lastTime: time, velocity: 0, direction: null, moved: false };
+
+    // Catch a running transition, or one still flinging from the last gesture
+    const timeline = activeTimeline();
+    if (timeline) {
+      timeline.pause();
+      timeline.timeScale(1);
+      timeline.eventCallback('onReverseComplete', null);
+      gesture.direction = galleryInstance.activeTransition.direction;
+      startScrubbing();
+    }
+  }
+
+  function startTransition(direction) {
+    const current = gesture;
+    current.direction = direction;
+
+    // Hold the transition as soon as its timeline exists, unless the gesture is already over
+    const removeListener = galleryInstance.on('transitionstart', () => {
+      removeListener();
+      if (gesture === current) {
+        galleryInstance.timeline.pause();
+        startScrubbing();
+      }
+    });
+
+    // Also clean up when the transition was canceled or failed to start
+    galleryInstance[direction]().finally(removeListener);
+  }
+
+  function moveGesture(x, time) {
+    const dx = x - gesture.lastX;
+    const dt = Math.max(1, time - gesture.lastTime) / 1000;
+    gesture.lastX = x;
+    gesture.lastTime = time;
+
+    if (!gesture.direction) {
+      // Measured from the start so small jitters don't trigger a transition
+      const totalDx = x - gesture.startX;
+      if (Math.abs(totalDx) > settings.threshold && !galleryInstance.isTransitioning) {
+        startTransition(totalDx > 0 ? 'next' : 'previous');
+      }
+      return;
+    }
+
+    const timeline = activeTimeline();
+    if (!timeline || !scrubbedTransition) return;
+
+    // For 'previous' transitions dragging left moves forward
+    const sign = gesture.direction === 'previous' ? -1 : 1;
+    const size = isVertical() ? element.clientHeight : element.clientWidth;
+    const delta = sign * dx / Math.max(1, size * settings.dragDistance);
+    timeline.progress(THREE.MathUtils.clamp(timeline.progress() + delta, 0, 1));
+
+    // Smoothed so a single jittery last event doesn't decide the fling
+    gesture.velocity = gesture.velocity * 0.6 + (delta / dt) * 0.4;
+    gesture.moved = true;
+  }
+
+  function endGesture() {
+    const ended = gesture;
+    gesture = null;
+    clearTimeout(wheelTimer);
+
+    const timeline = activeTimeline();
+    if (!timeline) {
+      endScrubbing();
+      return;
+    }
+
+    // A tap on a running transition just lets it go on
+    if (!ended.moved) {
+      if (!galleryInstance.isPaused) timeline.play();
+      endScrubbing();
+      return;
+    }
+
+    const { velocity } = ended;
+    const forward = velocity > settings.flingVelocity ||
+      (velocity > -settings.flingVelocity && timeline.progress() >= 0.5);
+    // Carry on at the speed of the gesture, never slower than normal playback
+    const speed = THREE.MathUtils.clamp(Math.abs(velocity) * timeline.duration(), 1, settings.maxFlingSpeed);
+
+    endScrubbing();
+
+    // A user pause keeps the transition parked where it was let go, resuming
+    // plays it on like after a tap
+    if (galleryInstance.isPaused && timeline.progress() > 0) return;
+
+    if (forward) {
+      timeline.timeScale(speed).play();
+    } else if (timeline.progress() === 0) {
+      galleryInstance.cancelTransition();
+    } else {
+      timeline.eventCallback('onReverseComplete', () => galleryInstance.cancelTransition());
+      timeline.timeScale(speed).reverse();
+    }
+  }
+
+  function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    removeListeners.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  // Drags along the gallery's axis belong to the gallery, the others still scroll the page
+  function updateTouchAction() {
+    element.style.touchAction = isVertical() ? 'pan-x' : 'pan-y';
+  }
+  element.style.cursor = 'pointer';
+  updateTouchAction();
+  removeListeners.push(galleryInstance.on('optionchange', ({ key }) => {
+    if (key === 'transitionAxis') updateTouchAction();
+  }));
+
+  listen(element, 'pointerdown', function(e) {
+    if (gesture || !e.isPrimary || e.button !== 0) return;
+
+    // Keep receiving moves when the pointer leaves the element
+    element.setPointerCapture(e.pointerId);
+    element.style.cursor = isVertical() ? 'ns-resize' : 'ew-resize';
+    beginGesture(axisPosition(e), e.timeStamp, e.pointerId);
+  });
+
+  listen(element, 'pointermove', function(e) {
+    if (gesture && gesture.pointerId === e.pointerId) {
+      moveGesture(axisPosition(e), e.timeStamp);
+    }
+  });
+
+  function onPointerUp(e) {
+    if (!gesture || gesture.pointerId !== e.pointerId) return;
+    element.style.cursor = 'pointer';
+    endGesture();
+  }
+
+  listen(element, 'pointerup', onPointerUp);
+  listen(element, 'pointercancel', onPointerUp);
+
+  if (settings.wheel) {
+    listen(element, 'wheel', function(e) {
+      // Scrolling across the gallery's axis stays with the page
+      const vertical = isVertical();
+      if (vertical ? Math.abs(e.deltaY) <= Math.abs(e.deltaX) : Math.abs(e.deltaX) <= Math.abs(e.deltaY)) return;
+      if (gesture && gesture.pointerId !== 'wheel') return;
+      e.preventDefault();
+
+      if (!gesture) {
+        beginGesture(0, e.timeStamp, 'wheel');
+      }
+
+      // Scrolling right works like dragging right, scrolling down like dragging up
+      moveGesture(gesture.lastX + wheelPixels(e, element, vertical), e.timeStamp);
+
+      // Wheel events have no release, the gesture ends when they stop coming
+      clearTimeout(wheelTimer);
+      wheelTimer = setTimeout(() => {
+        if (gesture && gesture.pointerId === 'wheel') endGesture();
+      }, settings.wheelIdle);
+    }, { passive: false });
+  }
+
+  return () => {
+    clearTimeout(wheelTimer);
+    removeListeners.forEach(remove => remove());
+    element.style.cursor = '';
+    element.style.touchAction = '';
+  };
+}
+
+// Wheel distance along one axis in pixels, whatever unit the browser reports
+function wheelPixels(e, element, vertical) {
+  const delta = vertical ? e.deltaY : e.deltaX;
+  if (e.deltaMode === WheelEvent.DOM_DELTA_LINE) return delta * 16;
+  if (e.deltaMode === WheelEvent.DOM_DELTA_PAGE) return delta * (vertical ? element.clientHeight : element.clientWidth);
+  return delta;
+}
@@ -0,0 +1,148 @@
+////////////////////
+// DELAY MAPS
+////////////////////
+
+// A delay map decides when each face of a slide starts moving: it maps a
+// point of the slide to a value from 0 (first) to 1 (last), which effects
+// scale to their own delay range instead of their built-in sweep.
+//
+// Maps are either a built-in pattern or a grayscale image, sampled at each
+// face centroid: dark areas go first, light ones last. A logo drawn in black
+// on white makes the image break up through the logo first.
+//
+// Maps travel to the geometry worker as plain descriptions:
+//   { key, pattern, invert }               for a pattern
+//   { key, width, height, data, invert }   for an image, data holds one luminance byte per pixel
+
+const SPIRAL_TURNS = 2;
+const NOISE_SCALE = 4;
+
+// Longest side of the luminance grid kept from a delay map image
+const MAX_IMAGE_SIZE = 256;
+
+// Built-in patterns, (u, v) are 0..1 from the bottom left corner
+export const DELAY_PATTERNS = {
+  // Left to right
+  horizontal: (u) => u,
+  // Top to bottom
+  vertical: (u, v) => 1 - v,
+  // Top left to bottom right corner
+  diagonal: (u, v) => (u + 1 - v) / 2,
+  // Center outwards
+  radial: (u, v) => Math.hypot(u - 0.5, v - 0.5) / Math.SQRT1_2,
+  // Two turns around the center, outwards
+  spiral: (u, v) => {
+    const angle = Math.atan2(v - 0.5, u - 0.5) / (2 * Math.PI) + 0.5;
+    const radius = Math.hypot(u - 0.5, v - 0.5) / Math.SQRT1_2;
+    return (angle + radius * SPIRAL_TURNS) / (1 + SPIRAL_TURNS);
+  },
+  // Smooth blotches
+  noise: (u, v) => valueNoise(u * NOISE_SCALE, v * NOISE_SCALE)
+};
+
+// The description of a map setting: a pattern name or an image URL.
+// Images are loaded and reduced to luminance here, on the main thread.
+export async function loadDelayMap(setting) {
+  if (setting in DELAY_PATTERNS) {
+    return { key: setting, pattern: setting, invert: false };
+  }
+
+  const image = await loadImage(setting);
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  // Transparent parts of the mask count as white
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.round(0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2]);
+  }
+
+  return { key: setting, width, height, data, invert: false };
+}
+
+// The same map read backwards, for the other phase of a transition
+export function invertDelayMap(map) {
+  return { ...map, key: `${map.key}|inverted`, invert: !map.invert };
+}
+
+// Function of a face centroid returning its delay from 0 to 1, for a slide
+// of width x height centered on the origin. Null without a map.
+export function createDelaySampler(map, width, height) {
+  if (!map) return null;
+
+  const sample = map.pattern ? DELAY_PATTERNS[map.pattern] : (u, v) => sampleImage(map, u, v);
+
+  return (centroid) => {
+    const u = clamp01(centroid.x / width + 0.5);
+    const v = clamp01(centroid.y / height + 0.5);
+    const value = clamp01(sample(u, v));
+    return map.invert ? 1 - value : value;
+  };
+}
+
+// Bilinear sample of the luminance grid, images are stored top row first
+function sampleImage({ width, height, data }, u, v) {
+  const x = u * (width - 1);
+  const y = (1 - v) * (height - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+  const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+  return (top * (1 - fy) + bottom * fy) / 255;
+}
+
+// Smoothly interpolated random values on an integer grid, the same everywhere
+function valueNoise(x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = smoothstep(x - x0);
+  const fy = smoothstep(y - y0);
+
+  const top = lerp(hash2(x0, y0), hash2(x0 + 1, y0), fx);
+  const bottom = lerp(hash2(x0, y0 + 1), hash2(x0 + 1, y0 + 1), fx);
+  return lerp(top, bottom, fy);
+}
+
+function hash2(x, y) {
+  let h = Math.imul(x, 0x27D4EB2D) ^ Math.imul(y, 0x165667B1);
+  h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+  h ^= h >>> 13;
+  return (h >>> 0) / 4294967296;
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load delay map '${src}'`));
+    image.src = src;
+  });
+}
@@ -0,0 +1,664 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+////////////////////
+// EFFECT REGISTRY
+////////////////////
+
+// A transition effect describes how a Slide animates in and out.
+// Each effect is an object with:
+//   createAttributes(geometry, { width, height, phase, random, params, delayMap })
+//       Adds custom attributes to the non-indexed plane geometry and
+//       returns the total animation duration (the range of uTime).
+//       All randomness must come from `random` (see random.js) so that
+//       seeded slides are reproducible. `params` holds the effect's
+//       params with the gallery's effectParams overrides applied.
+//       `delayMap(centroid)` returns a face's delay from 0 to 1 when the
+//       gallery has a delay map (see delay-maps.js), null otherwise; effects
+//       with a sweep should follow it instead.
+//       Effects always sweep towards +x: for other directions the plane is
+//       turned before createAttributes() and every 3-component attribute is
+//       turned back after it, so they must hold positions (see SWEEP_FRAMES
+//       in geometry.js). Width and height are those of the turned plane.
+//       Effects animating in the shader turn `position` with the `sweep`
+//       matrix from uniforms() themselves.
+//   vertexShader / fragmentShader
+//       GLSL sources. uTime, uPhase (1.0 'in', -1.0 'out') and uTexture
+//       are always provided.
+//   params                        (optional) tunable numbers and their defaults, e.g. { duration: 2 }
+//   uniforms({ width, height, params, sweep }) (optional) extra uniforms, `sweep`
+//       is the frame matrix of the transition's direction (see below)
+//   transparent                   (optional) enable alpha blending
+//   segmentDensity                (optional) plane segments per world unit at about 10 pixels
+//                                 per unit on screen, defaults to 2. Scaled with the
+//                                 slide's on-screen size (see layout.js).
+//   random                        (optional) false keeps the effect out of 'random' picks
+//
+// Built-in effects are also registered inside the geometry worker and are
+// flagged with `worker: true`, see geometry-cache.js.
+
+export const DEFAULT_EFFECT = 'shatter';
+
+const effects = new Map();
+
+export function registerEffect(name, effect) {
+  if (typeof effect.createAttributes !== 'function' || !effect.vertexShader || !effect.fragmentShader) {
+    throw new Error(`Effect '${name}' needs createAttributes(), vertexShader and fragmentShader`);
+  }
+  // Effects registered at runtime only exist on the main thread
+  effects.set(name, { ...effect, name, worker: false });
+}
+
+function registerBuiltinEffect(name, effect) {
+  registerEffect(name, effect);
+  effects.get(name).worker = true;
+}
+
+export function getEffect(name) {
+  const effect = effects.get(name);
+  if (!effect) {
+    console.warn(`Unknown transition effect '${name}', falling back to '${DEFAULT_EFFECT}'`);
+    return effects.get(DEFAULT_EFFECT);
+  }
+  return effect;
+}
+
+export function listEffects() {
+  return [...effects.keys()];
+}
+
+// The effect's params with `overrides` applied. Overrides must be finite
+// numbers for params the effect declares, others are ignored with a warning.
+export function resolveEffectParams(effect, overrides = {}) {
+  const params = { ...effect.params };
+
+  for (const [key, value] of Object.entries(overrides ?? {})) {
+    if (!(key in params)) {
+      console.warn(`Effect '${effect.name}' has no param '${key}'`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      console.warn(`Effect param '${effect.name}.${key}' must be a number, got`, value);
+    } else {
+      params[key] = value;
+    }
+  }
+
+  return params;
+}
+
+// Resolve an effect setting to a registered effect name.
+// Accepts a name, an array of names (one is picked at random) or 'random'.
+// Pass a seeded `random` (see random.js) to make the pick repeatable.
+export function pickEffect(setting, random = createRandom()) {
+  let candidates;
+
+  if (setting === 'random') {
+    candidates = listEffects().filter(name => effects.get(name).random !== false);
+  } else if (Array.isArray(setting)) {
+    candidates = setting.filter(name => effects.has(name));
+  } else {
+    return setting || DEFAULT_EFFECT;
+  }
+
+  if (candidates.length === 0) return DEFAULT_EFFECT;
+  return random.pick(candidates);
+}
+
+////////////////////
+// SHARED GLSL
+////////////////////
+
+const EASE_GLSL = `
+  // Ease in out cubic
+  float ease(float t, float b, float c, float d) {
+    t /= d / 2.0;
+    if (t < 1.0) return c / 2.0 * t * t * t + b;
+    t -= 2.0;
+    return c / 2.0 * (t * t * t + 2.0) + b;
+  }
+
+  float animationProgress(vec2 animation) {
+    float tTime = clamp(uTime - animation.x, 0.0, animation.y);
+    return ease(tTime, 0.0, 1.0, animation.y);
+  }
+`;
+
+const TEXTURE_FRAGMENT_SHADER = `
+  uniform sampler2D uTexture;
+  varying vec2 vUv;
+
+  void main() {
+    gl_FragColor = texture2D(uTexture, vUv);
+  }
+`;
+
+const FADE_FRAGMENT_SHADER = `
+  uniform sampler2D uTexture;
+  varying vec2 vUv;
+  varying float vAlpha;
+
+  void main() {
+    vec4 color = texture2D(uTexture, vUv);
+    gl_FragColor = vec4(color.rgb, color.a * vAlpha);
+  }
+`;
+
+// Faces scale from/to zero around their centroid while the centroid
+// follows a cubic Bezier path. Shared by 'shatter' and 'burst'.
+const BEZIER_VERTEX_SHADER = `
+  uniform float uTime;
+  uniform float uPhase;
+  attribute vec2 aAnimation;
+  attribute vec3 aStartPosition;
+  attribute vec3 aControl0;
+  attribute vec3 aControl1;
+  attribute vec3 aEndPosition;
+
+  varying vec2 vUv;
+
+  // Cubic bezier function
+  vec3 cubicBezier(vec3 p0, vec3 c0, vec3 c1, vec3 p1, float t) {
+    float tn = 1.0 - t;
+    return tn * tn * tn * p0 + 3.0 * tn * tn * t * c0 + 3.0 * tn * t * t * c1 + t * t * t * p1;
+  }
+
+  ${EASE_GLSL}
+
+  void main() {
+    vUv = uv;
+
+    float tProgress = animationProgress(aAnimation);
+
+    vec3 newPosition = position;
+    // Use uPhase: 1.0 for 'in' (scale up), -1.0 for 'out' (scale down)
+    if (uPhase > 0.0) {
+      newPosition *= tProgress;
+    } else {
+      newPosition *= 1.0 - tProgress;
+    }
+    newPosition += cubicBezier(aStartPosition, aControl0, aControl1, aEndPosition, tProgress);
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
+  }
+`;
+
+////////////////////
+// ATTRIBUTE HELPERS
+////////////////////
+
+// Iterate the faces of a non-indexed geometry, passing the face centroid.
+// When `relative` is set, vertex positions are rewritten relative to the centroid.
+function forEachFace(geometry, relative, callback) {
+  const positionAttribute = geometry.attributes.position;
+  const faceCount = positionAttribute.count / 3;
+  const v0 = new THREE.Vector3();
+  const v1 = new THREE.Vector3();
+  const v2 = new THREE.Vector3();
+  const centroid = new THREE.Vector3();
+
+  for (let i = 0; i < faceCount; i++) {
+    const faceIndex = i * 3;
+
+    v0.fromBufferAttribute(positionAttribute, faceIndex);
+    v1.fromBufferAttribute(positionAttribute, faceIndex + 1);
+    v2.fromBufferAttribute(positionAttribute, faceIndex + 2);
+    centroid.copy(v0).add(v1).add(v2).divideScalar(3);
+
+    callback(faceIndex, centroid);
+
+    if (relative) {
+      for (const [v, vertex] of [v0, v1, v2].entries()) {
+        positionAttribute.setXYZ(faceIndex + v,
+          vertex.x - centroid.x,
+          vertex.y - centroid.y,
+          vertex.z - centroid.z
+        );
+      }
+    }
+  }
+}
+
+// Write the same value to all 3 vertices of a face
+function setFace(array, itemSize, faceIndex, ...values) {
+  for (let v = 0; v < 3; v++) {
+    const offset = (faceIndex + v) * itemSize;
+    for (let k = 0; k < itemSize; k++) {
+      array[offset + k] = values[k];
+    }
+  }
+}
+
+function setBezierAttributes(geometry, arrays) {
+  geometry.setAttribute('aAnimation', new THREE.BufferAttribute(arrays.aAnimation, 2));
+  geometry.setAttribute('aStartPosition', new THREE.BufferAttribute(arrays.aStartPosition, 3));
+  geometry.setAttribute('aControl0', new THREE.BufferAttribute(arrays.aControl0, 3));
+  geometry.setAttribute('aControl1', new THREE.BufferAttribute(arrays.aControl1, 3));
+  geometry.setAttribute('aEndPosition', new THREE.BufferAttribute(arrays.aEndPosition, 3));
+}
+
+function createBezierArrays(count) {
+  return {
+    aAnimation: new Float32Array(count * 2),
+    aStartPosition: new Float32Array(count * 3),
+    aControl0: new Float32Array(count * 3),
+    aControl1: new Float32Array(count * 3),
+    aEndPosition: new Float32Array(count * 3)
+  };
+}
+
+////////////////////
+// BUILT-IN EFFECTS
+////////////////////
+
+// The original effect: the image shatters into triangles that sweep
+// left to right along Bezier curves.
+registerBuiltinEffect('shatter', {
+  params: {
+    minDuration: 0.8,   // Flight time of a triangle, picked between min and max
+    maxDuration: 1.2,
+    maxDelayX: 0.9,     // Delay of the sweep from the left to the right edge
+    maxDelayY: 0.125,   // Delay between the middle and the top/bottom edges
+    stretch: 0.11,      // Random extra delay, as a fraction of the duration
+    control0Min: 0.1,   // First control point offset, as a fraction of the spread
+    control0Max: 0.3,
+    control1Min: 0.3,   // Second control point offset, as a fraction of the spread
+    control1Max: 0.6,
+    spreadX: 50,        // Size of the control point offsets in world units
+    spreadY: 70,
+    spreadZ: 20
+  },
+  createAttributes(geometry, { width, height, phase, random, params, delayMap }) {
+    const arrays = createBezierArrays(geometry.attributes.position.count);
+    const { minDuration, maxDuration, maxDelayX, maxDelayY, stretch } = params;
+
+    forEachFace(geometry, true, (faceIndex, centroid) => {
+      // Animation timing
+      const duration = random.randFloat(minDuration, maxDuration);
+      let delay;
+
+      if (delayMap) {
+        delay = delayMap(centroid) * (maxDelayX + maxDelayY);
+      } else {
+        const delayX = THREE.MathUtils.mapLinear(centroid.x, -width * 0.5, width * 0.5, 0.0, maxDelayX);
+        const delayY = phase === 'in'
+          ? THREE.MathUtils.mapLinear(Math.abs(centroid.y), 0, height * 0.5, 0.0, maxDelayY)
+          : THREE.MathUtils.mapLinear(Math.abs(centroid.y), 0, height * 0.5, maxDelayY, 0.0);
+        delay = delayX + delayY;
+      }
+
+      setFace(arrays.aAnimation, 2, faceIndex, delay + (random.random() * stretch * duration), duration);
+
+      // Control points for bezier curve
+      const control0 = getControlPoint(centroid, phase, random, params.control0Min, params.control0Max, 1, params);
+      const control1 = getControlPoint(centroid, phase, random, params.control1Min, params.control1Max, -1, params);
+
+      setFace(arrays.aStartPosition, 3, faceIndex, centroid.x, centroid.y, centroid.z);
+      setFace(arrays.aControl0, 3, faceIndex, control0.x, control0.y, control0.z);
+      setFace(arrays.aControl1, 3, faceIndex, control1.x, control1.y, control1.z);
+      setFace(arrays.aEndPosition, 3, faceIndex, centroid.x, centroid.y, centroid.z);
+    });
+
+    setBezierAttributes(geometry, arrays);
+
+    return maxDuration + maxDelayX + maxDelayY + stretch;
+  },
+  vertexShader: BEZIER_VERTEX_SHADER,
+  fragmentShader: TEXTURE_FRAGMENT_SHADER
+});
+
+// Control point of a shatter curve, offset from the centroid by a random
+// fraction (min..max) of the spread. `flipY` is 1 to move away from the
+// horizontal center line and -1 to move towards it.
+function getControlPoint(centroid, animationPhase, random, min, max, flipY, { spreadX, spreadY, spreadZ }) {
+  const signY = Math.sign(centroid.y);
+  const point = new THREE.Vector3(
+    random.randFloat(min, max) * spreadX,
+    flipY * signY * random.randFloat(min, max) * spreadY,
+    random.randFloatSpread(spreadZ)
+  );
+
+  if (animationPhase === 'in') {
+    return new THREE.Vector3().copy(centroid).sub(point);
+  } else {
+    return new THREE.Vector3().copy(centroid).add(point);
+  }
+}
+
+// Triangles explode outwards from the center and fall back into place.
+registerBuiltinEffect('burst', {
+  params: {
+    minDuration: 0.6,
+    maxDuration: 1.0,
+    maxDelay: 0.8,      // Delay between the center and the corners
+    stretch: 0.2,
+    distance0Min: 10,   // Outward distance of the control points in world units
+    distance0Max: 30,
+    distance1Min: 30,
+    distance1Max: 60,
+    lift0: 20,          // Maximum height of the first control point above the plane
+    lift1Min: 10,       // Height range of the second control point
+    lift1Max: 40
+  },
+  createAttributes(geometry, { width, height, phase, random, params, delayMap }) {
+    const arrays = createBezierArrays(geometry.attributes.position.count);
+
+    const { minDuration, maxDuration, maxDelay, stretch } = params;
+    const maxRadius = Math.hypot(width, height) * 0.5;
+    const direction = new THREE.Vector3();
+
+    forEachFace(geometry, true, (faceIndex, centroid) => {
+      const duration = random.randFloat(minDuration, maxDuration);
+      const radius = centroid.length() / maxRadius;
+      // 'out' bursts from the center, 'in' lands from the edges inwards
+      const order = delayMap ? delayMap(centroid) : phase === 'in' ? 1 - radius : radius;
+      const delay = order * maxDelay;
+
+      setFace(arrays.aAnimation, 2, faceIndex, delay + random.random() * stretch, duration);
+
+      direction.set(centroid.x, centroid.y, 0).normalize();
+      const distance0 = random.randFloat(params.distance0Min, params.distance0Max);
+      const distance1 = random.randFloat(params.distance1Min, params.distance1Max);
+
+      setFace(arrays.aStartPosition, 3, faceIndex, centroid.x, centroid.y, centroid.z);
+      setFace(arrays.aControl0, 3, faceIndex,
+        centroid.x + direction.x * distance0,
+        centroid.y + direction.y * distance0,
+        random.randFloat(0, params.lift0)
+      );
+      setFace(arrays.aControl1, 3, faceIndex,
+        centroid.x + direction.x * distance1,
+        centroid.y + direction.y * distance1,
+        random.randFloat(params.lift1Min, params.lift1Max)
+      );
+      setFace(arrays.aEndPosition, 3, faceIndex, centroid.x, centroid.y, centroid.z);
+    });
+
+    setBezierAttributes(geometry, arrays);
+
+    return maxDuration + maxDelay + stretch;
+  },
+  vertexShader: BEZIER_VERTEX_SHADER,
+  fragmentShader: TEXTURE_FRAGMENT_SHADER
+});
+
+// Triangles fade in place in a noisy left-to-right sweep.
+registerBuiltinEffect('dissolve', {
+  params: {
+    duration: 0.5,      // Fade time of a triangle
+    maxDelayX: 0.6,     // Delay of the sweep from the left to the right edge
+    maxNoise: 0.8       // Random extra delay
+  },
+  createAttributes(geometry, { width, random, params, delayMap }) {
+    const count = geometry.attributes.position.count;
+    const aAnimation = new Float32Array(count * 2);
+    const aOffset = new Float32Array(count);
+
+    const { duration, maxDelayX, maxNoise } = params;
+
+    forEachFace(geometry, false, (faceIndex, centroid) => {
+      const delayX = delayMap
+        ? delayMap(centroid) * maxDelayX
+        : THREE.MathUtils.mapLinear(centroid.x, -width * 0.5, width * 0.5, 0.0, maxDelayX);
+      setFace(aAnimation, 2, faceIndex, delayX + random.random() * maxNoise, duration);
+      setFace(aOffset, 1, faceIndex, random.randFloat(2, 8));
+    });
+
+    geometry.setAttribute('aAnimation', new THREE.BufferAttribute(aAnimation, 2));
+    geometry.setAttribute('aOffset', new THREE.BufferAttribute(aOffset, 1));
+
+    return duration + maxDelayX + maxNoise;
+  },
+  vertexShader: `
+    uniform float uTime;
+    uniform float uPhase;
+    attribute vec2 aAnimation;
+    attribute float aOffset;
+
+    varying vec2 vUv;
+    varying float vAlpha;
+
+    ${EASE_GLSL}
+
+    void main() {
+      vUv = uv;
+
+      float tProgress = animationProgress(aAnimation);
+      vAlpha = uPhase > 0.0 ? tProgress : 1.0 - tProgress;
+
+      vec3 newPosition = position;
+      newPosition.z += (1.0 - vAlpha) * aOffset * uPhase;
+
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
+    }
+  `,
+  fragmentShader: FADE_FRAGMENT_SHADER,
+  transparent: true
+});
+
+// Triangles pop out of the plane in a wave spreading from the center.
+registerBuiltinEffect('ripple', {
+  params: {
+    duration: 0.9,      // Pop time of a triangle
+    maxDelay: 1.2,      // Delay between the center and the corners
+    height: 12          // How far the wave lifts the triangles, in world units
+  },
+  createAttributes(geometry, { width, height, params, delayMap }) {
+    const count = geometry.attributes.position.count;
+    const aAnimation = new Float32Array(count * 2);
+    const aCentroid = new Float32Array(count * 3);
+
+    const { duration, maxDelay } = params;
+    const maxRadius = Math.hypot(width, height) * 0.5;
+
+    forEachFace(geometry, true, (faceIndex, centroid) => {
+      const delay = (delayMap ? delayMap(centroid) : centroid.length() / maxRadius) * maxDelay;
+      setFace(aAnimation, 2, faceIndex, delay, duration);
+      setFace(aCentroid, 3, faceIndex, centroid.x, centroid.y, centroid.z);
+    });
+
+    geometry.setAttribute('aAnimation', new THREE.BufferAttribute(aAnimation, 2));
+    geometry.setAttribute('aCentroid', new THREE.BufferAttribute(aCentroid, 3));
+
+    return duration + maxDelay;
+  },
+  uniforms({ params }) {
+    return { uHeight: { value: params.height } };
+  },
+  vertexShader: `
+    uniform float uTime;
+    uniform float uPhase;
+    uniform float uHeight;
+    attribute vec2 aAnimation;
+    attribute vec3 aCentroid;
+
+    varying vec2 vUv;
+
+    ${EASE_GLSL}
+
+    void main() {
+      vUv = uv;
+
+      float tProgress = animationProgress(aAnimation);
+      float scale = uPhase > 0.0 ? tProgress : 1.0 - tProgress;
+
+      vec3 newPosition = position * scale + aCentroid;
+      newPosition.z += sin(tProgress * 3.14159265) * uHeight;
+
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
+    }
+  `,
+  fragmentShader: TEXTURE_FRAGMENT_SHADER
+});
+
+// The image breaks down into ever coarser blocks before fading away.
+registerBuiltinEffect('pixelate', {
+  params: {
+    duration: 2.0,
+    minCells: 6         // Rows of blocks at the coarsest point
+  },
+  createAttributes(geometry, { params }) {
+    const count = geometry.attributes.position.count;
+    const aAnimation = new Float32Array(count * 2);
+    const { duration } = params;
+
+    // Every face shares the same timing, the effect happens in the fragment shader
+    forEachFace(geometry, false, (faceIndex) => {
+      setFace(aAnimation, 2, faceIndex, 0.0, duration);
+    });
+
+    geometry.setAttribute('aAnimation', new THREE.BufferAttribute(aAnimation, 2));
+
+    return duration;
+  },
+  uniforms({ width, height, params }) {
+    return {
+      uAspect: { value: width / height },
+      uMinCells: { value: params.minCells }
+    };
+  },
+  vertexShader: `
+    uniform float uTime;
+    uniform float uPhase;
+    attribute vec2 aAnimation;
+
+    varying vec2 vUv;
+    varying float vProgress;
+
+    ${EASE_GLSL}
+
+    void main() {
+      vUv = uv;
+      vProgress = animationProgress(aAnimation);
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D uTexture;
+    uniform float uPhase;
+    uniform float uAspect;
+    uniform float uMinCells;
+    varying vec2 vUv;
+    varying float vProgress;
+
+    void main() {
+      // 0.0 = sharp image, 1.0 = fully pixelated and faded out
+      float amount = uPhase > 0.0 ? 1.0 - vProgress : vProgress;
+      float cells = mix(400.0, uMinCells, pow(amount, 0.5));
+      vec2 grid = vec2(cells * uAspect, cells);
+      vec2 uv = amount > 0.0 ? (floor(vUv * grid) + 0.5) / grid : vUv;
+
+      vec4 color = texture2D(uTexture, uv);
+      gl_FragColor = vec4(color.rgb, color.a * smoothstep(1.0, 0.6, amount));
+    }
+  `,
+  transparent: true,
+  segmentDensity: 0.1
+});
+
+// The outgoing image curls away from the right edge like a turning page,
+// uncovering the incoming image underneath.
+registerBuiltinEffect('pagecurl', {
+  params: {
+    duration: 2.2,
+    radius: 0.08        // Radius of the curl, as a fraction of the slide's extent along the sweep
+  },
+  createAttributes(geometry, { params }) {
+    const count = geometry.attributes.position.count;
+    const aAnimation = new Float32Array(count * 2);
+    const { duration } = params;
+
+    forEachFace(geometry, false, (faceIndex) => {
+      setFace(aAnimation, 2, faceIndex, 0.0, duration);
+    });
+
+    geometry.setAttribute('aAnimation', new THREE.BufferAttribute(aAnimation, 2));
+
+    return duration;
+  },
+  uniforms({ width, height, params, sweep }) {
+    // Extent of the slide along the sweep
+    const span = Math.abs(sweep[0]) * width + Math.abs(sweep[1]) * height;
+    return {
+      uWidth: { value: span },
+      uRadius: { value: span * params.radius },
+      uSweep: { value: new THREE.Vector4(...sweep) }
+    };
+  },
+  vertexShader: `
+    uniform float uTime;
+    uniform float uPhase;
+    uniform float uWidth;
+    uniform float uRadius;
+    uniform vec4 uSweep;
+    attribute vec2 aAnimation;
+
+    varying vec2 vUv;
+    varying float vAlpha;
+
+    ${EASE_GLSL}
+
+    void main() {
+      vUv = uv;
+
+      float tProgress = animationProgress(aAnimation);
+      vec3 newPosition = position;
+
+      if (uPhase > 0.0) {
+        // The incoming page waits underneath the curling one
+        newPosition.z -= 0.5;
+        vAlpha = tProgress;
+      } else {
+        // Curl in the sweep's frame, where the axis travels from the right
+        // edge past the left edge, then turn the result back
+        vec2 p = vec2(uSweep.x * position.x + uSweep.y * position.y, uSweep.z * position.x + uSweep.w * position.y);
+        float pi = 3.14159265;
+        float axis = mix(uWidth * 0.5, -uWidth * 0.5 - pi * uRadius, tProgress);
+        float d = p.x - axis;
+
+        if (d > 0.0) {
+          float theta = d / uRadius;
+          if (theta < pi) {
+            p.x = axis + uRadius * sin(theta);
+            newPosition.z = uRadius * (1.0 - cos(theta));
+          } else {
+            p.x = axis - (d - pi * uRadius);
+            newPosition.z = 2.0 * uRadius;
+          }
+        }
+        newPosition.xy = vec2(uSweep.x * p.x + uSweep.z * p.y, uSweep.y * p.x + uSweep.w * p.y);
+        vAlpha = 1.0 - smoothstep(0.7, 1.0, tProgress);
+      }
+
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
+    }
+  `,
+  fragmentShader: FADE_FRAGMENT_SHADER,
+  transparent: true
+});
+
+// A plain crossfade, used instead of the other effects when the viewer
+// prefers reduced motion. Nothing moves, so it's never picked at random.
+registerBuiltinEffect('crossfade', {
+  createAttributes() {
+    return 1.0;
+  },
+  vertexShader: `
+    uniform float uTime;
+    uniform float uPhase;
+
+    varying vec2 vUv;
+    varying float vAlpha;
+
+    void main() {
+      vUv = uv;
+
+      float tProgress = clamp(uTime, 0.0, 1.0);
+      vAlpha = uPhase > 0.0 ? tProgress : 1.0 - tProgress;
+
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: FADE_FRAGMENT_SHADER,
+  transparent: true,
+  segmentDensity: 0,
+  random: false
+});
@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+
+////////////////////
+// OFFLINE EXPORT
+////////////////////
+
+// Transitions are rendered frame by frame: the gsap timeline is paused and
+// seeked to each frame's time, so the output depends only on fps and never on
+// requestAnimationFrame or wall-clock time. Slow or hidden tabs produce the
+// same frames, just more slowly.
+
+export const EXPORT_DEFAULTS = {
+  format: 'png',       // 'png' for a frame sequence, 'webm' for a VP9 video (needs WebCodecs)
+  fps: 30,
+  width: 1920,         // Output size in pixels
+  height: 1080,
+  background: null,    // Clear color for the frames, null keeps them transparent (black in WebM)
+  bitrate: 8000000,    // WebM only
+  hold: null,          // Seconds to show each slide around transitions, null uses the slide's autoAdvanceDelay
+  onFrame: null,       // PNG only: (blob, frameIndex) => {}, frames are collected and returned when not set
+  onProgress: null     // (fraction) => {}
+};
+
+// Export a single transition from the current slide to `options.to`
+// (defaults to the next slide). Also accepts `direction`, `effect` and
+// `variation` like gallery.next(). Resolves to { frames } for PNG or { blob } for WebM.
+export function exportTransition(gallery, options = {}) {
+  const to = options.to ?? (gallery.currentIndex + 1) % gallery.slides.length;
+  const { direction = 'next', effect, variation } = options;
+
+  return renderSequence(gallery, [
+    { type: 'transition', to, direction, effect, variation }
+  ], options);
+}
+
+// Export the whole playlist from the current slide: each slide is held for
+// `hold` seconds (or its autoAdvanceDelay), followed by the transition to the next one.
+export function exportPlaylist(gallery, options = {}) {
+  const steps = [];
+  const count = gallery.slides.length;
+
+  for (let i = 0; i < count; i++) {
+    const index = (gallery.currentIndex + i) % count;
+    steps.push({ type: 'hold', seconds: options.hold ?? gallery.setting(index, 'autoAdvanceDelay') });
+
+    if (i < count - 1) {
+      steps.push({ type: 'transition', to: (index + 1) % count, direction: 'next', variation: options.variation });
+    }
+  }
+
+  return renderSequence(gallery, steps, options);
+}
+
+// Save a Blob through a temporary download link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function renderSequence(gallery, steps, options) {
+  const settings = { ...EXPORT_DEFAULTS, ...options };
+  const { fps, width, height } = settings;
+
+  if (!(fps > 0) || !Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error('Export needs a positive fps and integer width and height');
+  }
+  if (gallery.isTransitioning) {
+    throw new Error('Cannot export while a transition is running');
+  }
+
+  const { root } = gallery;
+  const renderer = root.renderer;
+  const sink = settings.format === 'webm' ? createWebMSink(settings) : createPNGSink(settings);
+
+  // Frame count of each step, known up front for progress reporting
+  const frameCounts = steps.map(step => step.type === 'hold'
+    ? Math.round(step.seconds * fps)
+    : Math.ceil(gallery.transitionDuration(step.to, step.duration) * fps)
+  );
+  const totalFrames = frameCounts.reduce((sum, count) => sum + count, 0);
+  let frame = 0;
+
+  async function captureFrame() {
+    root.render();
+    // The sink reads the canvas synchronously, before the drawing buffer is cleared
+    await sink.addFrame(renderer.domElement, frame);
+    frame++;
+    if (settings.onProgress) settings.onProgress(frame / totalFrames);
+  }
+
+  const wasAutoAdvancing = gallery.dwell.active;
+  const clearColor = renderer.getClearColor(new THREE.Color());
+  const clearAlpha = renderer.getClearAlpha();
+
+  gallery.stopAutoAdvance();
+  root.stop();
+  root.setFixedSize({ width, height });
+  if (settings.background !== null) {
+    renderer.setClearColor(settings.background, 1);
+  }
+
+  try {
+    for (const [i, step] of steps.entries()) {
+      if (step.type === 'hold') {
+        for (let f = 0; f < frameCounts[i]; f++) {
+          await captureFrame();
+        }
+        continue;
+      }
+
+      gallery.isTransitioning = true;
+
+      // The timeline only exists once the slides are built, wait for it to start
+      let removeListener;
+      const started = new Promise(resolve => {
+        removeListener = gallery.on('transitionstart', resolve);
+      });
+      const done = gallery.transitionTo(step.to, { ...step, paused: true });
+      const shown = await Promise.race([started.then(() => true), done]);
+      removeListener();
+
+      // A broken image in 'skip' mode, carry on with the rest
+      if (!shown) {
+        gallery.isTransitioning = false;
+        continue;
+      }
+
+      const timeline = gallery.timeline;
+      const duration = timeline.duration();
+
+      // Frame 0 equals the previous frame, start one frame in. The last
+      // frame lands exactly on the end so the timeline completes.
+      for (let f = 1; f <= frameCounts[i]; f++) {
+        timeline.time(Math.min(f / fps, duration));
+        await captureFrame();
+      }
+      // An instant transition has no frames of its own
+      if (timeline.progress() < 1) {
+        timeline.progress(1);
+      }
+
+      await done;
+    }
+
+    return { ...(await sink.finish()), frameCount: frame };
+  } catch (err) {
+    sink.cancel();
+    // Don't leave a half-finished transition behind
+    if (gallery.timeline && gallery.timeline.progress() < 1) {
+      gallery.timeline.progress(1);
+    }
+    // A transition that failed before its timeline existed never clears the flag
+    if (!gallery.activeTransition) {
+      gallery.isTransitioning = false;
+    }
+    throw err;
+  } finally {
+    renderer.setClearColor(clearColor, clearAlpha);
+    root.setFixedSize(null);
+    root.start();
+    if (wasAutoAdvancing) {
+      gallery.startAutoAdvance();
+    }
+  }
+}
+
+function createPNGSink({ onFrame }) {
+  const frames = [];
+
+  return {
+    async addFrame(canvas, index) {
+      const blob = await canvasToBlob(canvas);
+      if (onFrame) {
+        await onFrame(blob, index);
+      } else {
+        frames.push(blob);
+      }
+    },
+    async finish() {
+      return { frames };
+    },
+    cancel() {
+      frames.length = 0;
+    }
+  };
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode frame as PNG'));
+      }
+    }, 'image/png');
+  });
+}
+
+function createWebMSink({ width, height, fps, bitrate }) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('WebM export needs WebCodecs (VideoEncoder), export a PNG sequence instead');
+  }
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width, height, frameRate: fps }
+  });
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (err) => { encodeError = err; }
+  });
+  encoder.configure({ codec: 'vp09.00.10.08', width, height, bitrate, framerate: fps });
+
+  // Timestamps come from the frame index, not from the clock
+  const frameDuration = 1e6 / fps;
+
+  return {
+    async addFrame(canvas, index) {
+      if (encodeError) throw encodeError;
+
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      encoder.encode(frame, { keyFrame: index % Math.round(fps * 2) === 0 });
+      frame.close();
+
+      // Let the encoder catch up instead of queueing the whole video in memory.
+      // Waiting on 'dequeue' rather than a timer keeps hidden tabs at full speed.
+      while (encoder.encodeQueueSize > 4) {
+        await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+      }
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (encodeError) throw encodeError;
+
+      muxer.finalize();
+      return { blob: new Blob([muxer.target.buffer], { type: 'video/webm' }) };
+    },
+    cancel() {
+      if (encoder.state !== 'closed') {
+        encoder.close();
+      }
+    }
+  };
+}
@@ -0,0 +1,1348 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { pickEffect } from './effects.js';
+import { createRandom, deriveSeed } from './random.js';
+import { loadPlaylist, normalizePlaylist, SLIDE_OVERRIDES } from './playlist.js';
+import { Slide } from './slide.js';
+import { CanvasSlide } from './canvas-renderer.js';
+import { retainGeometryWorker, releaseGeometryWorker, setGeometryCacheSize } from './geometry-cache.js';
+import { THREERoot } from './three-root.js';
+import { TextureCache } from './texture-cache.js';
+import { setupKeyboardControls, createControlBar, createTweenScrubber } from './controls.js';
+import { prefersReducedMotion, setupAccessibility } from './accessibility.js';
+import { createThumbnailNavigator } from './thumbnails.js';
+import { createCaptionLayer } from './captions.js';
+import { loadVideoTexture, mediaSize, setupVideoPlayback } from './video.js';
+import { fitPlane, segmentDetail } from './layout.js';
+import { loadDelayMap, invertDelayMap } from './delay-maps.js';
+import { slideIndexFromLocation, setupHistorySync } from './history.js';
+import { applyOptions, parseUrlOptions, formatUrlOptions, splitEffectParam, MOUNT_OPTIONS } from './options.js';
+import { createTweakPanel } from './tweak-panel.js';
+import { DwellTimer, setupAutoPause } from './playback.js';
+import { isSyncFollower, setupSync } from './sync.js';
+
+////////////////////
+// CONFIGURATION
+////////////////////
+
+// Default gallery settings, override them with the options passed to createGallery().
+// The accepted values of each are checked against the rules in options.js.
+export const GALLERY_CONFIG = {
+  autoAdvance: false,        // Automatically advance to next image
+  autoAdvanceDelay: 5,       // Seconds to wait before auto-advancing
+  shuffleImages: false,      // Randomize image order
+  transitionDuration: 3,     // Duration of transition animation in seconds
+  transitionDelay: 1,        // Seconds before the first transition when the slideshow is started with play()
+  pauseOnHover: false,       // Hold auto-advance while the mouse is over the gallery
+  pauseOnHidden: true,       // Hold auto-advance while the tab is hidden
+  preloadRadius: 3,          // Number of images to preload in each direction (forward & backward)
+  transitionEffect: 'shatter', // Effect name, an array of names to pick from, or 'random' (see effects.js)
+  transitionAxis: 'horizontal', // Forward transitions sweep left to right ('horizontal') or bottom to top ('vertical'), going back mirrors them
+  effectParams: {},          // Overrides of the effects' params by effect name, e.g. { shatter: { maxDelayX: 0.5 } }
+  delayMap: null,            // Order in which faces start moving: a pattern ('radial', 'diagonal', 'spiral', 'noise', ... see delay-maps.js) or a grayscale image URL, null for the effect's own sweep
+  delayMapOut: 'same',       // Delay map of the outgoing slide: 'same', 'inverted', or a pattern or image URL of its own
+  keyboard: true,            // Arrow keys, Space, Home/End, P and R while the gallery has focus, 'window' to listen page-wide
+  controls: true,            // Show previous / pause / next buttons
+  announce: true,            // Announce "Image 3 of 20: <alt>" to screen readers on every slide change
+  label: 'Image gallery',    // Accessible name of the gallery
+  reducedMotion: 'auto',     // Replace effects with reducedMotionTransition: 'auto' follows prefers-reduced-motion, or true / false
+  reducedMotionTransition: 'crossfade', // 'crossfade' or 'instant'
+  reducedMotionDuration: 0.5, // Crossfade duration in seconds
+  thumbnails: null,          // 'strip' along the top, 'grid' for an overview opened with G or the overview button, null for none
+  thumbnailSize: 96,         // Thumbnail size in CSS pixels
+  captions: false,           // Show the slide's title, caption, credit and date over the image
+  captionSidecar: null,      // URL template of a per-image caption JSON, {base} is the image URL without extension, e.g. '{base}.json'
+  captionMetadata: true,     // Also read captions from the images' EXIF/IPTC fields (fetches the image bytes)
+  scrubbing: true,           // Drag or swipe on the canvas to scrub transitions, or an object overriding SCRUB_DEFAULTS (controls.js)
+  seed: null,                // Seed for shuffling and slide geometry, null for a different look every run
+  geometryCacheSize: 4,      // Slide geometries kept for reuse (shared by all galleries on the page)
+  textureCacheSize: 16,      // Maximum number of cached textures, null for no limit
+  textureCacheBytes: null,   // Maximum estimated GPU memory of cached textures in bytes, null for no limit
+  loadRetries: 2,            // Extra attempts for an image that fails to load
+  loadRetryDelay: 0.5,       // Seconds before the first retry, doubled for each further one
+  brokenImages: 'placeholder', // 'placeholder' shows placeholderImage instead, 'skip' moves on to the next image
+  placeholderImage: null,    // URL of the image shown for broken slides, null for a generated one
+  fov: 80,                   // Camera field of view in degrees
+  cameraDistance: 60,        // Camera distance from the slides
+  fit: 'contain',            // Slide size: 'contain', 'cover' or 'fill' the viewport, or 'fixed' to fit into fitSize
+  fitPadding: 24,            // Space kept around slides in CSS pixels ('contain', 'cover' and 'fill')
+  fitSize: { width: 100, height: 60 }, // Box in world units for 'fixed'
+  interruptMode: 'queue',    // Navigating mid-transition: 'queue' waits for it, 'finish' speeds it up first, 'interrupt' starts right away
+  finishSpeed: 4,            // Time scale of a transition being finished early in 'finish' mode
+  queueLimit: 3,             // Navigation requests kept while a transition runs, the oldest are dropped
+  deepLink: null,            // Keep the current slide in the URL: 'hash' (#/slide/12), 'query' (?slide=12) or null
+  deepLinkParam: 'slide',    // Name used for the slide in deep links
+  startIndex: 0,             // Slide shown first, a deep link wins
+  videoAutoplay: true,       // Start video slides as they come in, otherwise on a click, K or toggleVideo()
+  videoMuted: true,          // Play videos without sound, browsers only autoplay muted videos
+  videoLoop: true,           // Loop videos while they are shown
+  videoAdvanceOnEnd: false,  // Move on when a video ends, instead of looping and waiting for autoAdvanceDelay
+  videoPauseOffscreen: true, // Pause videos while the gallery is scrolled out of view or the tab is hidden
+  urlOptions: false,         // Let query parameters of the page URL override settings, e.g. ?transitionDuration=2 (see options.js)
+  tweakPanel: false,         // Show a panel for adjusting timing, effect and layout settings live
+  renderer: 'auto',          // 'webgl', 'canvas' for flat images that crossfade, or 'auto' to use canvas only without WebGL
+  renderOnDemand: true,      // Only draw frames while something moves, a still slide costs no GPU time
+  maxFps: null,              // Cap on frames drawn per second, null for the display's refresh rate
+  sync: null,                // Play in step with other galleries: an object overriding SYNC_DEFAULTS (sync.js), null for none
+};
+
+// Create a gallery inside `element` and start loading it.
+// `options.playlist` is a manifest URL, a manifest object or an array of slides;
+// other options override GALLERY_CONFIG and throw when invalid. Await
+// `gallery.ready` to know when the first slide is shown, and call
+// `gallery.destroy()` to tear it down.
+export function createGallery(element, options = {}) {
+  const gallery = new ImageGallery(element, options);
+  gallery.ready = gallery.mount();
+  return gallery;
+}
+
+////////////////////
+// HELPERS
+////////////////////
+
+// Helper function to load texture as a promise
+function loadTexture(loader, path) {
+  return new Promise((resolve, reject) => {
+    loader.load(
+      path,
+      (texture) => resolve(texture),
+      undefined,
+      (error) => reject(error)
+    );
+  });
+}
+
+function wait(seconds) {
+  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
+
+// Neutral texture with a short notice, shown in place of images that fail to load
+function createPlaceholderTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 800;
+  canvas.height = 450;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#222';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#888';
+  context.font = '32px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText('Image unavailable', canvas.width / 2, canvas.height / 2);
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+// Helper function to shuffle array
+function shuffleArray(array, random = createRandom()) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+////////////////////
+// CLASSES
+////////////////////
+
+// Events dispatched by ImageGallery, subscribe with gallery.on(type, listener).
+// Transition payloads carry { from, to, direction, sweep, effect, duration } where
+// from/to are slide indices, direction is 'next' or 'previous' and sweep is
+// the way the effect travels: 'right', 'left', 'up' or 'down'.
+//
+//   beforetransition  transition payload + cancel(), call cancel() to prevent it
+//   transitionstart   transition payload
+//   progress          transition payload + progress (0-1), also fired while scrubbing
+//   transitionend     transition payload, + interrupted: true when another navigation cut it short
+//   transitioncancel  transition payload, the transition was reverted and the current slide stays
+//   pausechange       { paused }, the user paused or resumed
+//   playbackchange    { state, previousState }, see playbackState
+//   optionchange      { key, value }, a setting was changed with setOption()
+//   slidechange       { index, previousIndex, slide, direction }, also fired for the first slide
+//   loaderror         { index, src, error }
+//   textureevict      { index, bytes, stats }, a texture was disposed to stay within the cache budget
+//   scrubstart        transition payload + progress
+//   scrubend          transition payload + progress
+//   contextlost       the WebGL context was lost, the gallery waits for it to come back
+//   contextrestored   the slides were rebuilt in the restored context
+export class ImageGallery extends THREE.EventDispatcher {
+  constructor(element, options = {}) {
+    super();
+
+    const { playlist = [], ...config } = options;
+
+    this.element = element;
+    this.playlist = playlist; // Manifest URL, manifest object or array of slides
+    this.config = applyOptions({ ...GALLERY_CONFIG }, config);
+    // Valid settings from the page URL, applied again over the manifest's settings
+    this.urlOptions = this.config.urlOptions
+      ? applyOptions({}, parseUrlOptions(), { strict: false, source: 'page URL' })
+      : {};
+    applyOptions(this.config, this.urlOptions);
+    this.slides = []; // Normalized playlist entries (see playlist.js), filled by mount()
+    this.currentIndex = 0;
+    this.loader = new THREE.TextureLoader();
+    this.textureCache = new TextureCache({
+      maxCount: this.config.textureCacheSize ?? Infinity,
+      maxBytes: this.config.textureCacheBytes ?? Infinity
+    });
+    this.pendingTextures = new Map(); // index -> Promise of a texture being loaded
+    this.brokenSlides = new Set(); // Indices whose image failed to load on the last attempt
+    this.placeholderTexture = null; // Promise of the texture shown for broken slides
+    this.delayMaps = new Map(); // delayMap setting -> Promise of its description (see delay-maps.js), null if it failed
+    this.currentSlide = null;
+    this.nextSlide = null;
+    this.isTransitioning = false;
+    this.isScrubbing = false;
+    this.pauseReasons = new Set(); // Why the slideshow is held: 'user', 'hover', 'hidden', 'context' or 'interaction'
+    this.playbackState = 'stopped';
+    this.timeline = null;
+    this.activeTransition = null; // { from, to, direction, effect, duration, seed, variation } while transitioning
+    this.variation = 0; // Counts transitions, mixed into the gallery seed
+    this.dwell = new DwellTimer(() => this.next()); // Time left on the current slide while auto-advancing
+    this.navigationQueue = []; // { target, options, resolve } requested while a transition was running
+    this.leavingSlides = new Set(); // Slides of interrupted transitions, still animating out
+    this.resolveTransition = null; // Settles the promise of the running transitionTo()
+    this.thumbnails = null; // Thumbnail navigator (see thumbnails.js) when config.thumbnails is set
+    this.videoPlayback = null; // Plays and pauses video slides (see video.js) once mounted
+    this.replayTween = null; // Entrance of the current slide played again by replaySlide()
+    this.removeControls = [];
+    this.destroyed = false;
+
+    retainGeometryWorker();
+    setGeometryCacheSize(this.config.geometryCacheSize);
+
+    this.root = new THREERoot(element, {
+      createCameraControls: false,
+      antialias: (window.devicePixelRatio === 1),
+      fov: this.config.fov,
+      renderer: this.config.renderer,
+      renderOnDemand: this.config.renderOnDemand,
+      maxFps: this.config.maxFps
+    });
+
+    this.root.renderer.setClearColor(0x000000, 0);
+    this.root.renderer.setPixelRatio(window.devicePixelRatio || 1);
+    this.root.camera.position.set(0, 0, this.config.cameraDistance);
+    this.root.onResize = () => this.layoutSlides();
+    this.root.isAnimating = () => this.isAnimating();
+    this.root.onContextLost = () => {
+      // Nothing shows until the context is back, don't move on meanwhile
+      this.pause('context');
+      this.emit('contextlost');
+    };
+    this.root.onContextRestored = () => this.restoreContext();
+    // Without WebGL slides are drawn by the Canvas 2D fallback
+    this.slideType = this.root.renderer.isCanvasRenderer ? CanvasSlide : Slide;
+
+    this.on('scrubstart', () => {
+      this.isScrubbing = true;
+      this.updatePlayback();
+    });
+    this.on('scrubend', () => {
+      this.isScrubbing = false;
+      this.updatePlayback();
+    });
+    ['transitionstart', 'transitionend', 'transitioncancel'].forEach(type => this.on(type, () => this.updatePlayback()));
+    // A navigation takes a replayed slide over, rewinding what was shown
+    this.on('transitionstart', () => this.stopReplay());
+    // Scrubbing and seeking move the timeline without playing it
+    ['progress', 'transitionstart', 'transitioncancel', 'slidechange'].forEach(type => this.on(type, () => this.root.invalidate()));
+  }
+
+  // Load the playlist, show the first slide and attach the controls
+  async mount() {
+    const playlist = typeof this.playlist === 'string'
+      ? await loadPlaylist(this.playlist)
+      : normalizePlaylist(this.playlist);
+
+    if (this.destroyed) return this;
+
+    // Manifest settings win over the options, so content editors can tune a
+    // show without code changes. Settings in the URL win over both.
+    applyOptions(this.config, playlist.settings, { strict: false, source: 'playlist manifest' });
+    applyOptions(this.config, this.urlOptions);
+
+    // Synced screens shuffle alike only from the same seed, and a leader's
+    // own pick would come too late for the order
+    if (this.config.sync && this.config.shuffleImages && this.config.seed === null) {
+      throw new Error('Synced galleries need the same seed to shuffle their images');
+    }
+    this.slides = this.config.shuffleImages ? shuffleArray(playlist.slides, createRandom(this.config.seed)) : playlist.slides;
+
+    if (this.slides.length < 1) {
+      throw new Error('Need at least 1 image in the playlist!');
+    }
+
+    console.log(`Gallery: ${this.slides.length} images${this.config.shuffleImages ? ' (shuffled)' : ''}`);
+
+    // A deep link opens straight at its slide
+    const linkedIndex = this.config.deepLink ? slideIndexFromLocation(this) : null;
+    const startIndex = linkedIndex ?? Math.min(this.config.startIndex, this.slides.length - 1);
+
+    // Before init() so the first slide gets labelled and announced too
+    this.removeControls.push(setupAccessibility(this, this.element, this.root.renderer.domElement));
+    this.videoPlayback = setupVideoPlayback(this);
+    this.removeControls.push(() => {
+      this.videoPlayback.destroy();
+      this.videoPlayback = null;
+    });
+    this.removeControls.push(setupAutoPause(this, this.element));
+    // Before init() so followers don't start auto-advancing on their own
+    if (this.config.sync) {
+      this.removeControls.push(setupSync(this, this.config.sync));
+    }
+    if (this.config.captions) {
+      this.removeControls.push(createCaptionLayer(this, this.element));
+    }
+
+    await this.init(startIndex);
+    if (this.destroyed) return this;
+
+    if (this.config.deepLink) {
+      this.removeControls.push(setupHistorySync(this));
+    }
+
+    // Followers go where the leader goes, local navigation would only drift
+    // away from it until the next correction
+    const navigable = !isSyncFollower(this.config.sync);
+
+    if (this.config.keyboard && navigable) {
+      const target = this.config.keyboard === 'window' ? window : this.element;
+      this.removeControls.push(setupKeyboardControls(this, target));
+    }
+
+    // Before the control bar, which offers a button to open the grid
+    if (this.config.thumbnails && navigable) {
+      this.thumbnails = createThumbnailNavigator(this, this.element, this.config.thumbnails);
+      this.removeControls.push(() => {
+        this.thumbnails.destroy();
+        this.thumbnails = null;
+      });
+    }
+
+    if (this.config.controls && navigable) {
+      this.removeControls.push(createControlBar(this, this.element));
+    }
+
+    if (this.config.scrubbing && navigable) {
+      const scrubOptions = typeof this.config.scrubbing === 'object' ? this.config.scrubbing : {};
+      this.removeControls.push(createTweenScrubber(this, this.root.renderer.domElement, scrubOptions));
+    }
+
+    if (this.config.tweakPanel) {
+      this.removeControls.push(createTweakPanel(this, this.element));
+    }
+
+    return this;
+  }
+
+  // Remove listeners, stop rendering and free all GPU resources
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    this.stopAutoAdvance();
+    this.stopReplay();
+    this.removeControls.forEach(remove => remove());
+    this.removeControls = [];
+
+    if (this.timeline) {
+      this.timeline.kill();
+      this.timeline = null;
+    }
+
+    // Settle the promises of next(), previous() and goTo() still waiting
+    if (this.resolveTransition) {
+      this.resolveTransition('canceled');
+      this.resolveTransition = null;
+    }
+    this.navigationQueue.forEach(({ resolve }) => resolve('canceled'));
+    this.navigationQueue = [];
+
+    [this.currentSlide, this.nextSlide, ...this.leavingSlides].forEach(slide => {
+      gsap.killTweensOf(slide);
+      if (slide) {
+        this.root.scene.remove(slide);
+        slide.dispose();
+      }
+    });
+    this.currentSlide = null;
+    this.nextSlide = null;
+    this.leavingSlides.clear();
+
+    this.textureCache.clear();
+    this.delayMaps.clear();
+    if (this.placeholderTexture) {
+      this.placeholderTexture.then(texture => texture.dispose());
+      this.placeholderTexture = null;
+    }
+
+    this.root.destroy();
+    releaseGeometryWorker();
+  }
+
+  // Subscribe to a gallery event, returns a function that unsubscribes
+  on(type, listener) {
+    this.addEventListener(type, listener);
+    return () => this.removeEventListener(type, listener);
+  }
+
+  emit(type, detail = {}) {
+    this.dispatchEvent({ type, ...detail });
+  }
+
+  // Look up a config value, letting the slide's playlist entry override it
+  setting(index, key) {
+    const field = SLIDE_OVERRIDES[key];
+    const override = field && this.slides[index]?.[field];
+    return override ?? this.config[key];
+  }
+
+  // Change a setting of the running gallery, e.g. setOption('fov', 60) or
+  // setOption('shatter.maxDelayX', 0.5). Throws for invalid values. Layout and
+  // camera settings apply right away, timing and effect settings from the next
+  // transition; the settings in MOUNT_OPTIONS (options.js) only when created.
+  setOption(key, value) {
+    applyOptions(this.config, { [key]: value });
+
+    const name = splitEffectParam(key) ? 'effectParams' : key;
+    if (MOUNT_OPTIONS.has(name)) {
+      console.warn(`Gallery option '${key}' only applies when the gallery is created`);
+    }
+
+    switch (name) {
+      case 'fov':
+        this.root.camera.fov = value;
+        this.root.camera.updateProjectionMatrix();
+        this.layoutSlides();
+        break;
+      case 'cameraDistance':
+        this.root.camera.position.z = value;
+        this.layoutSlides();
+        break;
+      case 'fit':
+      case 'fitPadding':
+      case 'fitSize':
+        this.layoutSlides();
+        break;
+      case 'geometryCacheSize':
+        setGeometryCacheSize(value);
+        break;
+      case 'textureCacheSize':
+        this.textureCache.maxCount = value ?? Infinity;
+        this.trimTextureCache();
+        break;
+      case 'textureCacheBytes':
+        this.textureCache.maxBytes = value ?? Infinity;
+        this.trimTextureCache();
+        break;
+      case 'renderOnDemand':
+        this.root.renderOnDemand = value;
+        this.root.invalidate();
+        break;
+      case 'maxFps':
+        this.root.maxFps = value;
+        break;
+      case 'preloadRadius':
+        this.preloadAround(this.currentIndex);
+        break;
+      case 'autoAdvance':
+        if (!value) {
+          this.stopAutoAdvance();
+        } else if (!this.isTransitioning && this.currentSlide && !this.dwell.active) {
+          this.startAutoAdvance(this.config.transitionDelay);
+        }
+        this.updatePlayback();
+        break;
+    }
+
+    this.emit('optionchange', { key, value });
+  }
+
+  // Way a transition travels: forward ones sweep along the transitionAxis,
+  // going back mirrors them (see SWEEP_FRAMES in geometry.js)
+  sweepFor(direction) {
+    const vertical = this.config.transitionAxis === 'vertical';
+    if (direction === 'previous') return vertical ? 'down' : 'left';
+    return vertical ? 'up' : 'right';
+  }
+
+  // Delay maps of the incoming and the outgoing slide of a transition into
+  // `index`, following the delayMap and delayMapOut settings. Null for none.
+  async transitionDelayMaps(index) {
+    const setting = this.setting(index, 'delayMap');
+    const outSetting = this.config.delayMapOut;
+    const mapIn = setting ? await this.loadDelayMap(setting) : null;
+
+    let mapOut;
+    if (outSetting === 'same') {
+      mapOut = mapIn;
+    } else if (outSetting === 'inverted') {
+      mapOut = mapIn && invertDelayMap(mapIn);
+    } else {
+      mapOut = outSetting ? await this.loadDelayMap(outSetting) : null;
+    }
+
+    return { in: mapIn, out: mapOut };
+  }
+
+  // A map that fails to load falls back to the effect's own sweep
+  loadDelayMap(setting) {
+    if (!this.delayMaps.has(setting)) {
+      this.delayMaps.set(setting, loadDelayMap(setting).catch(err => {
+        console.warn(`Could not load delay map '${setting}', using the effect's own sweep:`, err);
+        return null;
+      }));
+    }
+    return this.delayMaps.get(setting);
+  }
+
+  // Query string of the settings that differ from GALLERY_CONFIG, for sharing
+  // a tuned look through a page with urlOptions enabled
+  settingsQuery() {
+    return formatUrlOptions(this.config, GALLERY_CONFIG);
+  }
+
+  // Overrides of an effect's params from the effectParams setting, null for none
+  effectParams(effectName) {
+    return this.config.effectParams[effectName] ?? null;
+  }
+
+  // Override the transition effect used when moving to the given slide
+  setSlideEffect(index, effect) {
+    this.slides[index].effect = effect;
+  }
+
+  // Pick the effect for a transition: explicit argument, then the slide's
+  // playlist entry, then the gallery's transitionEffect setting
+  resolveEffect(targetIndex, effect, seed = null) {
+    return pickEffect(effect ?? this.setting(targetIndex, 'transitionEffect'), createRandom(seed));
+  }
+
+  // Seed for the geometry of a slide brought in by a transition. A seed on
+  // the playlist entry gives the slide the same look every time. The gallery
+  // seed is mixed with the slide index and the transition's variation, so
+  // transitions look different but replay identically. Null means unseeded.
+  transitionSeed(targetIndex, variation) {
+    const slideSeed = this.slides[targetIndex]?.seed;
+
+    if (slideSeed !== undefined && slideSeed !== null) return slideSeed;
+    if (this.config.seed === null || this.config.seed === undefined) return null;
+    return deriveSeed(this.config.seed, targetIndex, variation);
+  }
+
+  // Show the slide at startIndex without a transition
+  async init(startIndex = 0) {
+    // Load first texture, in 'skip' mode the first one that loads
+    let index1 = startIndex;
+    let texture1 = await this.textureForSlide(index1);
+    for (let tried = 1; !texture1 && !this.destroyed && tried < this.slides.length; tried++) {
+      index1 = (index1 + 1) % this.slides.length;
+      texture1 = await this.textureForSlide(index1);
+    }
+    if (this.destroyed) return;
+    if (!texture1) {
+      throw new Error('None of the images in the playlist could be loaded');
+    }
+    this.currentIndex = index1;
+
+    // Create first slide - start it fully visible
+    const size1 = mediaSize(texture1.image);
+    const slide1 = await this.createShownSlide(index1, texture1);
+    if (this.destroyed) {
+      slide1.dispose();
+      return;
+    }
+    this.currentSlide = slide1;
+    this.root.scene.add(this.currentSlide);
+
+    console.log(`Image ${index1 + 1}: ${size1.width}x${size1.height} -> ${slide1.width.toFixed(1)}x${slide1.height.toFixed(1)}`);
+
+    this.emit('slidechange', { index: index1, previousIndex: null, slide: this.slides[index1], direction: null });
+
+    // Preload nearby images for smooth navigation
+    if (this.slides.length > 1) {
+      this.preloadAround(this.currentIndex);
+    }
+
+    // Setup auto-advance if enabled
+    if (this.config.autoAdvance) {
+      this.startAutoAdvance();
+    }
+    this.updatePlayback();
+  }
+
+  // A slide of `index` showing `texture` fully, as at the end of its entrance
+  async createShownSlide(index, texture) {
+    const dims = this.planeDimensions(texture, index);
+    const seed = this.transitionSeed(index, 0);
+    const effect = this.resolveEffect(index, null, seed);
+    const delayMaps = await this.transitionDelayMaps(index);
+    const slide = await this.slideType.create(dims.width, dims.height, 'in', effect, seed, this.segmentDetail(),
+      this.effectParams(effect), delayMaps.in, this.sweepFor('next'));
+
+    slide.userData.index = index;
+    slide.setTexture(texture);
+    slide.time = slide.totalDuration;
+    return slide;
+  }
+
+  // Rebuild the current slide with the settings as they are now and play its
+  // entrance again, e.g. to see a tweaked effect. Ignored mid-transition.
+  async replaySlide() {
+    const previousSlide = this.currentSlide;
+    if (this.isTransitioning || !previousSlide || !previousSlide.texture) return;
+
+    const index = previousSlide.userData.index;
+    const slide = await this.createShownSlide(index, previousSlide.texture);
+    if (this.destroyed || this.currentSlide !== previousSlide || this.isTransitioning) {
+      slide.dispose();
+      return;
+    }
+
+    this.stopReplay();
+    this.root.scene.remove(previousSlide);
+    previousSlide.dispose();
+    this.currentSlide = slide;
+    this.root.scene.add(slide);
+
+    slide.time = 0;
+    this.replayTween = slide.transition(this.transitionDuration(index));
+    this.root.invalidate();
+  }
+
+  stopReplay() {
+    if (this.replayTween) {
+      this.replayTween.kill();
+      this.replayTween = null;
+    }
+  }
+
+  // The WebGL context came back empty: upload the cached textures again and
+  // rebuild the slide on screen. A running transition is skipped to its end.
+  async restoreContext() {
+    if (this.timeline && this.activeTransition) {
+      this.timeline.progress(1);
+    }
+    this.leavingSlides.forEach(slide => {
+      gsap.killTweensOf(slide);
+      this.root.scene.remove(slide);
+      slide.dispose();
+    });
+    this.leavingSlides.clear();
+
+    this.textureCache.textures().forEach(texture => { texture.needsUpdate = true; });
+    if (this.placeholderTexture) {
+      this.placeholderTexture.then(texture => { texture.needsUpdate = true; });
+    }
+
+    const previousSlide = this.currentSlide;
+    if (previousSlide && previousSlide.texture) {
+      const slide = await this.createShownSlide(previousSlide.userData.index, previousSlide.texture);
+      // Navigation may have replaced the slide meanwhile, with one built in the new context
+      if (this.destroyed || this.currentSlide !== previousSlide || this.isTransitioning) {
+        slide.dispose();
+      } else {
+        this.root.scene.remove(previousSlide);
+        previousSlide.dispose();
+        this.currentSlide = slide;
+        this.root.scene.add(slide);
+      }
+    }
+    if (this.destroyed) return;
+
+    this.resume('context');
+    this.root.invalidate();
+    this.emit('contextrestored');
+  }
+
+  // Load the texture for a slide, retrying with exponential backoff.
+  // Once all attempts failed the slide is marked broken and 'loaderror' is dispatched.
+  async loadSlideTexture(index) {
+    const { src, type } = this.slides[index];
+    const attempts = 1 + Math.max(0, this.config.loadRetries);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const texture = type === 'video' ? await loadVideoTexture(src) : await loadTexture(this.loader, src);
+        this.brokenSlides.delete(index);
+        return texture;
+      } catch (error) {
+        if (attempt >= attempts || this.destroyed) {
+          this.brokenSlides.add(index);
+          this.emit('loaderror', { index, src, error, attempts: attempt });
+          throw error;
+        }
+
+        const delay = this.config.loadRetryDelay * 2 ** (attempt - 1);
+        console.warn(`Failed to load image ${index + 1}/${this.slides.length}, retrying in ${delay}s...`);
+        await wait(delay);
+      }
+    }
+  }
+
+  // Texture to show for a slide. A broken image gets the placeholder,
+  // or null in 'skip' mode so the caller can move on to another slide.
+  async textureForSlide(index) {
+    try {
+      return await this.ensureTexture(index);
+    } catch (err) {
+      console.error(`Failed to load image ${index + 1}/${this.slides.length}:`, err);
+      if (this.destroyed || this.config.brokenImages === 'skip') return null;
+      return this.getPlaceholderTexture();
+    }
+  }
+
+  getPlaceholderTexture() {
+    if (!this.placeholderTexture) {
+      const url = this.config.placeholderImage;
+      this.placeholderTexture = url
+        ? loadTexture(this.loader, url).catch(err => {
+          console.error('Failed to load the placeholder image:', err);
+          return createPlaceholderTexture();
+        })
+        : Promise.resolve(createPlaceholderTexture());
+    }
+    return this.placeholderTexture;
+  }
+
+  // First slide from `index` onwards in `direction` whose image isn't known to be broken
+  nextUsableIndex(index, direction) {
+    const step = direction === 'previous' ? -1 : 1;
+
+    for (let i = 0; i < this.slides.length; i++) {
+      const candidate = (index + i * step + this.slides.length) % this.slides.length;
+      if (!this.brokenSlides.has(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  // Make sure a slide's texture is cached before transitioning to it
+  async ensureTexture(index) {
+    const cached = this.textureCache.get(index);
+    if (cached) return cached;
+
+    console.log(`Loading image ${index + 1}/${this.slides.length}...`);
+    return this.fetchTexture(index);
+  }
+
+  // Load a texture into the cache, sharing the request with a load already in flight.
+  // Resolves to null if the gallery was destroyed meanwhile.
+  fetchTexture(index) {
+    if (!this.pendingTextures.has(index)) {
+      const request = this.loadSlideTexture(index)
+        .then(texture => {
+          if (this.destroyed) {
+            texture.dispose();
+            return null;
+          }
+          this.textureCache.set(index, texture);
+          this.trimTextureCache(index);
+          return texture;
+        })
+        .finally(() => this.pendingTextures.delete(index));
+
+      this.pendingTextures.set(index, request);
+    }
+
+    return this.pendingTextures.get(index);
+  }
+
+  // Indices whose textures must stay loaded: the preload window around the
+  // current slide, both ends of a running transition and slides of
+  // interrupted transitions still animating out
+  textureWindow() {
+    const keep = new Set();
+    const radius = this.config.preloadRadius;
+
+    for (let offset = -radius; offset <= radius; offset++) {
+      keep.add((this.currentIndex + offset + this.slides.length) % this.slides.length);
+    }
+    if (this.activeTransition) {
+      keep.add(this.activeTransition.from);
+      keep.add(this.activeTransition.to);
+    }
+    this.leavingSlides.forEach(slide => keep.add(slide.userData.index));
+
+    return keep;
+  }
+
+  // Evict least recently used textures outside the preload window until the cache fits its budget.
+  // `loadedIndex` is a texture that was just loaded for use and must survive too.
+  trimTextureCache(loadedIndex = null) {
+    const keep = this.textureWindow();
+    if (loadedIndex !== null) keep.add(loadedIndex);
+
+    const evicted = this.textureCache.trim(keep);
+
+    evicted.forEach(([index, bytes]) => {
+      console.log(`Evicted image ${index + 1}/${this.slides.length} from the texture cache (${(bytes / 1048576).toFixed(1)} MB)`);
+      this.emit('textureevict', { index, bytes, stats: { ...this.textureCache.stats } });
+    });
+  }
+
+  async preloadAround(centerIndex) {
+    // Preload images in both directions (forward and backward)
+    const radius = this.config.preloadRadius;
+    const promises = [];
+
+    // The window moved, make room before loading new images
+    this.trimTextureCache();
+
+    for (let offset = -radius; offset <= radius; offset++) {
+      if (offset === 0) continue; // Skip current image (already loaded)
+
+      const targetIndex = (centerIndex + offset + this.slides.length) % this.slides.length;
+
+      // Only load if not already cached
+      if (!this.textureCache.has(targetIndex)) {
+        promises.push(
+          this.fetchTexture(targetIndex)
+            .then(texture => {
+              if (texture) {
+                console.log(`Preloaded image ${targetIndex + 1}/${this.slides.length}`);
+              }
+            })
+            .catch(err => {
+              console.error(`Failed to preload image ${targetIndex + 1}:`, err);
+            })
+        );
+      }
+    }
+
+    // Load all preload promises in parallel
+    if (promises.length > 0) {
+      await Promise.all(promises);
+      console.log(`Preloading complete: ${promises.length} images loaded`);
+    }
+  }
+
+  // Options: { effect, duration, variation }, all optional
+  async next(options) {
+    await this.requestNavigation({ offset: 1 }, options);
+  }
+
+  async previous(options) {
+    await this.requestNavigation({ offset: -1 }, options);
+  }
+
+  // Jump straight to a slide. Options: { effect, duration, variation, direction },
+  // the direction defaults to 'next' for higher indices and 'previous' for lower ones.
+  async goTo(index, options) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.slides.length) {
+      throw new RangeError(`No slide at index ${index} (${this.slides.length} slides)`);
+    }
+    await this.requestNavigation({ index }, options);
+  }
+
+  // Run a navigation request now, or apply config.interruptMode when a transition
+  // is already running. Relative targets are resolved when the request runs, so
+  // three queued next() calls move three slides on.
+  requestNavigation(target, options = {}) {
+    if (this.slides.length < 2 || this.destroyed) return Promise.resolve();
+
+    if (this.isTransitioning) {
+      const mode = this.config.interruptMode;
+
+      // Until the timeline exists there is no visual state to start from, queue instead
+      if (mode === 'interrupt' && this.timeline && this.activeTransition) {
+        this.interruptTransition();
+      } else {
+        if (mode === 'finish' && this.timeline) {
+          this.timeline.timeScale(this.config.finishSpeed);
+        }
+        return this.enqueueNavigation(target, options);
+      }
+    }
+
+    const count = this.slides.length;
+    let targetIndex, direction;
+
+    if (target.offset !== undefined) {
+      targetIndex = ((this.currentIndex + target.offset) % count + count) % count;
+      direction = target.offset < 0 ? 'previous' : 'next';
+    } else {
+      targetIndex = target.index;
+      direction = options.direction ?? (targetIndex < this.currentIndex ? 'previous' : 'next');
+    }
+
+    if (targetIndex === this.currentIndex) return Promise.resolve();
+    return this.navigate(targetIndex, direction, options);
+  }
+
+  enqueueNavigation(target, options) {
+    return new Promise(resolve => {
+      this.navigationQueue.push({ target, options, resolve });
+
+      while (this.navigationQueue.length > Math.max(0, this.config.queueLimit)) {
+        this.navigationQueue.shift().resolve();
+      }
+    });
+  }
+
+  // Start the oldest queued request, returns false when there is none
+  runQueuedNavigation() {
+    const queued = this.navigationQueue.shift();
+    if (!queued) return false;
+
+    queued.resolve(this.requestNavigation(queued.target, queued.options));
+    return true;
+  }
+
+  // Stop the running transition where it is. The outgoing slide finishes
+  // leaving on its own, and the half-shown incoming slide becomes the current
+  // one, so the next transition plays its entrance backwards from this point.
+  interruptTransition() {
+    const detail = this.activeTransition;
+    const remaining = (1 - this.timeline.progress()) * this.timeline.duration();
+
+    this.timeline.kill();
+    this.timeline = null;
+
+    const leaving = this.currentSlide;
+    if (leaving) {
+      this.leavingSlides.add(leaving);
+      gsap.to(leaving, {
+        time: leaving.totalDuration,
+        duration: remaining,
+        ease: 'none',
+        onComplete: () => {
+          this.leavingSlides.delete(leaving);
+          this.root.scene.remove(leaving);
+          leaving.dispose();
+        }
+      });
+    }
+
+    this.currentSlide = this.nextSlide;
+    this.nextSlide = null;
+    this.currentIndex = detail.to;
+    this.isTransitioning = false;
+    this.activeTransition = null;
+
+    this.emit('transitionend', { ...detail, interrupted: true });
+    this.emit('slidechange', {
+      index: detail.to,
+      previousIndex: detail.from,
+      slide: this.slides[detail.to],
+      direction: detail.direction
+    });
+
+    this.resolveTransition('interrupted');
+    this.resolveTransition = null;
+  }
+
+  // Abandon the running transition and keep the current slide, e.g. after it
+  // was scrubbed back to the start. The timeline is rewound before it is dropped.
+  cancelTransition() {
+    const detail = this.activeTransition;
+    if (!detail) return;
+
+    this.timeline.eventCallback('onReverseComplete', null);
+    this.timeline.progress(0, true).kill();
+    this.timeline = null;
+
+    // An interrupted entrance was rewinding, it stays as the current slide fully shown
+    if (this.currentSlide && this.currentSlide.phase === 'in') {
+      this.currentSlide.time = this.currentSlide.totalDuration;
+    }
+
+    this.root.scene.remove(this.nextSlide);
+    this.nextSlide.dispose();
+    this.nextSlide = null;
+    this.isTransitioning = false;
+    this.activeTransition = null;
+
+    this.emit('transitioncancel', detail);
+
+    this.resolveTransition('canceled');
+    this.resolveTransition = null;
+  }
+
+  async navigate(targetIndex, direction, options = {}) {
+    if (this.isTransitioning || this.slides.length < 2) return;
+
+    if (this.config.brokenImages === 'skip') {
+      targetIndex = this.nextUsableIndex(targetIndex, direction);
+      if (targetIndex === null || targetIndex === this.currentIndex) return;
+    }
+
+    const detail = this.transitionDetail(targetIndex, direction, options);
+    let canceled = false;
+    this.emit('beforetransition', {
+      ...detail,
+      cancel: () => { canceled = true; }
+    });
+    if (canceled) {
+      // Nothing ran, but the requests waiting on it and the slideshow carry on
+      if (!this.runQueuedNavigation() && this.config.autoAdvance && !this.dwell.active) {
+        this.startAutoAdvance();
+      }
+      return;
+    }
+
+    this.stopAutoAdvance();
+    this.isTransitioning = true;
+
+    // Whatever goes wrong, the gallery must not stay stuck in the transitioning state
+    const shown = await this.transitionTo(targetIndex, detail).catch(err => {
+      console.error(`Transition to image ${targetIndex + 1}/${this.slides.length} failed:`, err);
+      return false;
+    });
+    // Another navigation took over and runs the follow-up work
+    if (this.destroyed || shown === 'interrupted') return;
+
+    if (!shown) {
+      this.isTransitioning = false;
+      this.activeTransition = null;
+      this.updatePlayback();
+
+      // The image turned out to be broken, try the one after it
+      if (this.config.brokenImages === 'skip' && this.brokenSlides.has(targetIndex)) {
+        const step = direction === 'previous' ? -1 : 1;
+        const following = (targetIndex + step + this.slides.length) % this.slides.length;
+        return this.navigate(following, direction, { ...options, variation: undefined });
+      }
+    }
+
+    // Preload nearby images in background (non-blocking)
+    this.preloadAround(this.currentIndex);
+
+    if (this.runQueuedNavigation()) return;
+
+    if (this.config.autoAdvance) {
+      this.startAutoAdvance();
+    }
+  }
+
+  // World size of a slide showing `texture`, following the fit settings and
+  // the current viewport (see layout.js)
+  planeDimensions(texture, index) {
+    const { width, height } = mediaSize(texture.image);
+
+    return fitPlane(width, height, {
+      camera: this.root.camera,
+      viewport: this.root.size,
+      fit: this.setting(index, 'fit'),
+      padding: this.config.fitPadding,
+      fixedSize: this.config.fitSize
+    });
+  }
+
+  segmentDetail() {
+    return segmentDetail(this.root.camera, this.root.size);
+  }
+
+  // Fit the slides on screen to the current viewport. Rebuilding their
+  // geometry would stall a resize, so the meshes are scaled instead.
+  layoutSlides() {
+    for (const slide of [this.currentSlide, this.nextSlide, ...this.leavingSlides]) {
+      if (!slide || !slide.texture) continue;
+
+      const { width, height } = this.planeDimensions(slide.texture, slide.userData.index);
+      const scaleX = width / slide.width;
+      const scaleY = height / slide.height;
+      slide.scale.set(scaleX, scaleY, (scaleX + scaleY) / 2);
+    }
+    this.root.invalidate();
+  }
+
+  // Whether frames have to be drawn continuously (see renderOnDemand): a
+  // transition or an interrupted slide is playing, or a video is running
+  isAnimating() {
+    if (this.timeline && this.timeline.isActive()) return true;
+    if (this.leavingSlides.size > 0) return true;
+    if (this.replayTween && this.replayTween.isActive()) return true;
+    return [this.currentSlide, this.nextSlide].some(slide =>
+      slide?.texture?.isVideoTexture && !slide.texture.image.paused);
+  }
+
+  // Resolve everything about a transition up front so events and replays agree.
+  // Without an explicit variation each transition takes the next one.
+  transitionDetail(targetIndex, direction, { effect, duration, variation } = {}) {
+    variation = variation ?? ++this.variation;
+    const seed = this.transitionSeed(targetIndex, variation);
+
+    // Reduced motion wins over any effect the slide or caller asked for
+    if (prefersReducedMotion(this.config.reducedMotion)) {
+      effect = 'crossfade';
+    }
+
+    return {
+      from: this.currentIndex,
+      to: targetIndex,
+      direction,
+      sweep: this.sweepFor(direction),
+      effect: this.resolveEffect(targetIndex, effect, seed),
+      duration: this.transitionDuration(targetIndex, duration),
+      seed,
+      variation
+    };
+  }
+
+  // Seconds a transition to `targetIndex` takes, `duration` being the one
+  // the caller asked for if any. Reduced motion wins over it.
+  transitionDuration(targetIndex, duration = null) {
+    if (prefersReducedMotion(this.config.reducedMotion)) {
+      return this.config.reducedMotionTransition === 'instant' ? 0 : this.config.reducedMotionDuration;
+    }
+    return duration ?? this.setting(targetIndex, 'transitionDuration');
+  }
+
+  // Options: { effect, duration, direction, variation, paused }, all optional.
+  // A paused transition has to be driven through this.timeline, e.g. by the exporter.
+  // Resolves to true once the transition completes, false if the slide can't be shown,
+  // 'interrupted' if another navigation took over (see interruptTransition()) or
+  // 'canceled' if it was reverted (see cancelTransition()).
+  async transitionTo(targetIndex, options = {}) {
+    // Load target texture if not cached (should be preloaded, but just in case)
+    const texture = await this.textureForSlide(targetIndex);
+    const delayMaps = texture && await this.transitionDelayMaps(targetIndex);
+    if (!texture || this.destroyed) return false;
+    const size = mediaSize(texture.image);
+    const dims = this.planeDimensions(texture, targetIndex);
+    const detail = this.transitionDetail(targetIndex, options.direction ?? 'next', options);
+    const { effect: effectName, seed, direction, sweep } = detail;
+    const duration = detail.duration;
+
+    console.log(`Transitioning to image ${targetIndex + 1}/${this.slides.length} (${effectName})`);
+    console.log(`  ${size.width}x${size.height} -> ${dims.width.toFixed(1)}x${dims.height.toFixed(1)}`);
+
+    // A slide caught mid-entrance by an interruption leaves by rewinding its entrance
+    const previousSlide = this.currentSlide;
+    const rewindPrevious = previousSlide && previousSlide.phase === 'in' && previousSlide.time < previousSlide.totalDuration;
+
+    // Otherwise the outgoing slide has to play the same effect, rebuild it if it was
+    // created with another one, with params that have changed since, with another
+    // delay map or sweeping the other way
+    const params = this.effectParams(effectName);
+    const rebuildPrevious = previousSlide && !rewindPrevious && (
+      previousSlide.effectName !== effectName ||
+      previousSlide.params !== params ||
+      previousSlide.delayMapKey !== (delayMaps.out?.key ?? null) ||
+      previousSlide.sweep !== sweep
+    );
+    // A rebuilt slide is made at the current viewport size, scaled slides return to scale 1
+    const previousDims = rebuildPrevious && this.planeDimensions(previousSlide.texture, previousSlide.userData.index);
+    const segments = this.segmentDetail();
+
+    // Geometry is built off the main thread, both slides in parallel
+    const [nextSlide, outgoingSlide] = await Promise.all([
+      this.slideType.create(dims.width, dims.height, 'in', effectName, seed, segments, params, delayMaps.in, sweep),
+      rebuildPrevious ? this.slideType.create(previousDims.width, previousDims.height, 'out', effectName, seed, segments, params, delayMaps.out, sweep) : previousSlide
+    ]);
+
+    if (this.destroyed) {
+      nextSlide.dispose();
+      if (rebuildPrevious) outgoingSlide.dispose();
+      return false;
+    }
+
+    // Create new slide (will transition in)
+    this.nextSlide = nextSlide;
+    this.nextSlide.userData.index = targetIndex;
+    this.nextSlide.setTexture(texture);
+    this.root.scene.add(this.nextSlide);
+
+    if (rebuildPrevious) {
+      this.currentSlide = outgoingSlide;
+      this.currentSlide.userData.index = previousSlide.userData.index;
+      this.currentSlide.setTexture(previousSlide.texture);
+      this.root.scene.add(this.currentSlide);
+      this.root.scene.remove(previousSlide);
+      previousSlide.dispose();
+    }
+
+    // The viewport may have changed while the geometry was being built
+    this.layoutSlides();
+
+    // Update current slide to transition out
+    if (this.currentSlide && !rewindPrevious) {
+      this.currentSlide.phase = 'out';
+      // Reset its time to 0 so it can transition out
+      this.currentSlide.time = 0;
+    }
+
+    this.activeTransition = detail;
+
+    // Create timeline for transition with Promise
+    return new Promise(resolve => {
+      this.resolveTransition = resolve;
+      this.timeline = gsap.timeline({
+        paused: !!options.paused,
+        onUpdate: () => {
+          this.emit('progress', { ...detail, progress: this.timeline.progress() });
+        },
+        onComplete: () => {
+          // Remove old slide
+          if (this.currentSlide) {
+            this.root.scene.remove(this.currentSlide);
+            this.currentSlide.dispose();
+          }
+
+          // Update references
+          this.currentSlide = this.nextSlide;
+          this.nextSlide = null;
+          this.currentIndex = targetIndex;
+          this.isTransitioning = false;
+          this.activeTransition = null;
+          this.resolveTransition = null;
+
+          this.emit('transitionend', detail);
+          this.emit('slidechange', {
+            index: targetIndex,
+            previousIndex: detail.from,
+            slide: this.slides[targetIndex],
+            direction
+          });
+
+          // Resolve the promise
+          resolve(true);
+        }
+      });
+
+      // Add both transitions
+      if (rewindPrevious) {
+        const shown = this.currentSlide.time / this.currentSlide.totalDuration;
+        this.timeline.add(this.currentSlide.rewind(duration * shown), 0);
+      } else if (this.currentSlide) {
+        this.timeline.add(this.currentSlide.transition(duration), 0);
+      }
+      this.timeline.add(this.nextSlide.transition(duration), 0);
+
+      this.emit('transitionstart', detail);
+    });
+  }
+
+  // Count down `delay` seconds on the current slide, then move on. The
+  // countdown starts held while the slideshow is paused.
+  startAutoAdvance(delay = this.setting(this.currentIndex, 'autoAdvanceDelay')) {
+    this.stopAutoAdvance();
+
+    // The video's 'ended' event moves on instead (see video.js)
+    const video = this.currentSlide?.texture?.isVideoTexture;
+    if (video && this.setting(this.currentIndex, 'videoAdvanceOnEnd')) return;
+
+    this.dwell.start(delay);
+    if (this.pauseReasons.size > 0) {
+      this.dwell.pause();
+    }
+  }
+
+  stopAutoAdvance() {
+    this.dwell.clear();
+  }
+
+  // Fraction of the current slide's dwell time that has passed, for a
+  // countdown indicator. 0 while not auto-advancing.
+  get dwellProgress() {
+    return this.dwell.progress;
+  }
+
+  // Start auto-advancing, or resume after a pause. From a stop the slideshow
+  // moves on after transitionDelay rather than the full autoAdvanceDelay.
+  play() {
+    this.resume();
+    if (!this.config.autoAdvance) {
+      this.setOption('autoAdvance', true);
+    }
+  }
+
+  // Hold the slideshow, `reason` is 'user' for the pause button and P key.
+  // A user pause also freezes a running transition, 'hover' and 'hidden'
+  // (see playback.js), 'context' (a lost WebGL context) and 'interaction'
+  // (see kiosk.js) only hold the dwell timer.
+  pause(reason = 'user') {
+    if (this.pauseReasons.has(reason)) return;
+    this.pauseReasons.add(reason);
+
+    if (reason === 'user') {
+      if (this.timeline) {
+        this.timeline.pause();
+      }
+      console.log('Paused');
+      this.emit('pausechange', { paused: true });
+    }
+    this.updatePlayback();
+  }
+
+  // Lift a hold placed by pause(), the dwell timer carries on where it stopped
+  resume(reason = 'user') {
+    if (!this.pauseReasons.delete(reason)) return;
+
+    if (reason === 'user') {
+      // A transition being dragged stays with the scrubber
+      if (this.timeline && !this.isScrubbing) {
+        this.timeline.play();
+      }
+      console.log('Resumed');
+      this.emit('pausechange', { paused: false });
+    }
+    this.updatePlayback();
+  }
+
+  // Stop auto-advancing, navigation is up to the user again
+  stop() {
+    this.resume();
+    if (this.config.autoAdvance) {
+      this.setOption('autoAdvance', false);
+    }
+  }
+
+  // Pause or resume, a stopped slideshow starts playing
+  togglePause() {
+    if (this.isPaused) {
+      this.resume();
+    } else if (!this.config.autoAdvance && !this.isTransitioning) {
+      this.play();
+    } else {
+      this.pause();
+    }
+  }
+
+  // Start or stop the video of the current slide, how videos start with
+  // videoAutoplay off. Returns whether it plays, false without a video.
+  toggleVideo() {
+    return this.videoPlayback ? this.videoPlayback.toggle() : false;
+  }
+
+  get isPaused() {
+    return this.pauseReasons.has('user');
+  }
+
+  // Hold or release the dwell timer and dispatch 'playbackchange' when the
+  // state moved on. The states are described in playback.js.
+  updatePlayback() {
+    if (this.pauseReasons.size > 0) {
+      this.dwell.pause();
+    } else {
+      this.dwell.resume();
+    }
+
+    const previousState = this.playbackState;
+    if (this.isScrubbing) {
+      this.playbackState = 'scrubbing';
+    } else if (this.isPaused || (this.config.autoAdvance && !this.isTransitioning && this.pauseReasons.size > 0)) {
+      this.playbackState = 'paused';
+    } else if (this.isTransitioning && this.activeTransition) {
+      this.playbackState = 'transitioning';
+    } else {
+      this.playbackState = this.config.autoAdvance ? 'playing' : 'stopped';
+    }
+
+    if (this.playbackState !== previousState) {
+      this.emit('playbackchange', { state: this.playbackState, previousState });
+    }
+  }
+
+  reset() {
+    console.log('Resetting gallery to first image...');
+    this.stopAutoAdvance();
+    return this.goTo(0);
+  }
+}
@@ -0,0 +1,139 @@
+import { getEffect } from './effects.js';
+import { generateSlideAttributes } from './geometry.js';
+
+////////////////////
+// GEOMETRY CACHE
+////////////////////
+
+// Building a slide's geometry touches every face of a dense plane, which is
+// slow enough to drop frames at the start of a transition. Built-in effects
+// are generated in a Web Worker and the resulting typed arrays are cached by
+// (effect, width, height, phase, seed, detail, params, delay map, sweep), so
+// same-sized slides are only built once. Unseeded slides are random every
+// time and never cached.
+// Effects registered at runtime are not known to the worker and are built on
+// the main thread, but still cached.
+
+let cacheSize = 4;
+const cache = new Map(); // key -> Promise of { attributes, totalDuration }, in LRU order
+
+let worker = null;
+let workerUsers = 0;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+// Build (or fetch from the cache) the attributes for a slide
+export function buildSlideAttributes(effectName, width, height, phase, seed, detail = 1, params = null, delayMap = null, sweep = 'right') {
+  const cacheable = seed !== null && seed !== undefined;
+  const key = [effectName, width, height, phase, seed, detail, JSON.stringify(params ?? {}), delayMap?.key ?? '', sweep].join('|');
+
+  if (cacheable && cache.has(key)) {
+    const cached = cache.get(key);
+    // Move to the end so it is evicted last
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+
+  const effect = getEffect(effectName);
+  const request = effect.worker && getWorker()
+    ? requestFromWorker({ effectName: effect.name, width, height, phase, seed, detail, params, delayMap, sweep })
+    : Promise.resolve(generateSlideAttributes(effect.name, width, height, phase, seed, detail, params, delayMap, sweep));
+  if (!cacheable) return request;
+
+  // Failed builds are not cached
+  const result = request.catch(err => {
+    cache.delete(key);
+    throw err;
+  });
+
+  cache.set(key, result);
+  while (cache.size > cacheSize) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return result;
+}
+
+// Number of geometries kept around. A 3:2 image filling a 1080p screen
+// takes about 30 MB with the shatter effect, so keep this small.
+export function setGeometryCacheSize(size) {
+  cacheSize = Math.max(0, size);
+  while (cache.size > cacheSize) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+export function clearGeometryCache() {
+  cache.clear();
+}
+
+// Galleries retain the worker while they are alive, it is terminated once
+// the last one is destroyed
+export function retainGeometryWorker() {
+  workerUsers++;
+}
+
+export function releaseGeometryWorker() {
+  workerUsers = Math.max(0, workerUsers - 1);
+
+  if (workerUsers === 0) {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    pendingRequests.forEach(({ reject }) => reject(new Error('Geometry worker was terminated')));
+    pendingRequests.clear();
+    cache.clear();
+  }
+}
+
+function getWorker() {
+  if (worker || typeof Worker === 'undefined') return worker;
+
+  try {
+    worker = new Worker(new URL('./geometry-worker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    console.warn('Geometry worker unavailable, building slides on the main thread', err);
+    return null;
+  }
+
+  worker.onmessage = (e) => {
+    const { id, result, error } = e.data;
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+
+    pendingRequests.delete(id);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  };
+
+  worker.onerror = (e) => {
+    console.warn('Geometry worker failed, building slides on the main thread', e.message);
+    worker.terminate();
+    worker = null;
+
+    // Build whatever was still waiting on the main thread
+    pendingRequests.forEach(({ resolve, reject, params }) => {
+      try {
+        resolve(generateSlideAttributes(params.effectName, params.width, params.height, params.phase, params.seed, params.detail, params.params, params.delayMap, params.sweep));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    pendingRequests.clear();
+  };
+
+  return worker;
+}
+
+function requestFromWorker(params) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject, params });
+    worker.postMessage({ id, ...params });
+  });
+}
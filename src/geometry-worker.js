@@ -0,0 +1,15 @@
+import { generateSlideAttributes } from './geometry.js';
+
+// Builds slide attributes off the main thread, see geometry-cache.js.
+// The typed arrays are transferred back without copying.
+self.onmessage = (e) => {
+  const { id, effectName, width, height, phase, seed, detail, params, delayMap, sweep } = e.data;
+
+  try {
+    const result = generateSlideAttributes(effectName, width, height, phase, seed, detail, params, delayMap, sweep);
+    const buffers = Object.values(result.attributes).map(({ array }) => array.buffer);
+    self.postMessage({ id, result }, buffers);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
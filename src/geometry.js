@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { getEffect, resolveEffectParams } from './effects.js';
+import { createRandom } from './random.js';
+import { createDelaySampler } from './delay-maps.js';
+
+// Slide geometry generation, shared by the main thread and the geometry
+// worker (see geometry-cache.js). Attributes are passed around as plain
+// typed arrays so they can be transferred between threads.
+
+// Effects are written for a transition sweeping towards +x. Other sweep
+// directions hand the effect a plane turned into that frame and turn all
+// 3-component attributes back afterwards, mirroring or rotating the sweep
+// and the paths of the faces with it. Each frame is the matrix [a, b, c, d]
+// taking slide coordinates to the effect's: x' = a x + b y, y' = c x + d y.
+// They are all orthogonal, so the transpose turns them back.
+export const SWEEP_FRAMES = {
+  right: [1, 0, 0, 1],   // Left to right, forward in a horizontal gallery
+  left: [-1, 0, 0, 1],   // Right to left, mirrored for going back
+  up: [0, 1, 1, 0],      // Bottom to top, forward in a vertical gallery
+  down: [0, -1, 1, 0]    // Top to bottom, back in a vertical gallery
+};
+
+// Generate the plane and the effect's attributes synchronously. `detail`
+// scales the effect's segmentDensity to the slide's on-screen size (see layout.js),
+// `params` overrides the effect's params, `delayMap` is a delay map
+// description (see delay-maps.js) replacing the effect's own sweep and
+// `sweep` is a key of SWEEP_FRAMES.
+// Returns { attributes: { name: { array, itemSize } }, totalDuration }.
+export function generateSlideAttributes(effectName, width, height, phase, seed, detail = 1, params = null, delayMap = null, sweep = 'right') {
+  const effect = getEffect(effectName);
+  const frame = SWEEP_FRAMES[sweep];
+  const inverse = [frame[0], frame[2], frame[1], frame[3]];
+
+  // Create plane geometry
+  const density = (effect.segmentDensity ?? 2) * detail;
+  const widthSegments = Math.max(1, Math.round(width * density));
+  const heightSegments = Math.max(1, Math.round(height * density));
+  const planeGeometry = new THREE.PlaneGeometry(width, height, widthSegments, heightSegments);
+
+  // Convert to non-indexed geometry for face separation
+  const geometry = planeGeometry.toNonIndexed();
+  planeGeometry.dispose();
+
+  // Delay maps line up with the image, not with the sweep
+  const sampleDelay = createDelaySampler(delayMap, width, height);
+  const point = new THREE.Vector3();
+
+  // Let the effect generate its animation attributes in its own frame
+  transformAttribute(geometry.attributes.position, frame);
+  const totalDuration = effect.createAttributes(geometry, {
+    width: Math.abs(frame[0]) * width + Math.abs(frame[1]) * height,
+    height: Math.abs(frame[2]) * width + Math.abs(frame[3]) * height,
+    phase,
+    random: createRandom(seed),
+    params: resolveEffectParams(effect, params),
+    delayMap: sampleDelay && (centroid => sampleDelay(transformPoint(point.copy(centroid), inverse)))
+  });
+
+  const attributes = {};
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    if (attribute.itemSize === 3) transformAttribute(attribute, inverse);
+    attributes[name] = { array: attribute.array, itemSize: attribute.itemSize };
+  }
+
+  return { attributes, totalDuration };
+}
+
+function transformPoint(point, [a, b, c, d]) {
+  return point.set(a * point.x + b * point.y, c * point.x + d * point.y, point.z);
+}
+
+function transformAttribute(attribute, [a, b, c, d]) {
+  if (a === 1 && d === 1) return;
+
+  const array = attribute.array;
+  for (let i = 0; i < array.length; i += 3) {
+    const x = array[i];
+    const y = array[i + 1];
+    array[i] = a * x + b * y;
+    array[i + 1] = c * x + d * y;
+  }
+}
+
+export function createBufferGeometry(attributes) {
+  const geometry = new THREE.BufferGeometry();
+
+  for (const [name, { array, itemSize }] of Object.entries(attributes)) {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+  }
+
+  return geometry;
+}
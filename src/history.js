@@ -0,0 +1,90 @@
+////////////////////
+// DEEP LINKING
+////////////////////
+
+// Keeps the current slide in the URL so a link or a reload opens the same
+// image, and lets the browser's back/forward buttons move between slides.
+// A slide is addressed by its playlist `id` when it has one, otherwise by its
+// 1-based position: `#/slide/12` in 'hash' mode, `?slide=12` in 'query' mode.
+
+// Key of the gallery's entry in history.state, holds the position in the session history
+const STATE_KEY = 'gallerySlide';
+
+// The slide the current URL points at, or null when it names none
+export function slideIndexFromLocation(gallery, location = window.location) {
+  const token = readToken(gallery.config, location);
+  if (token === null) return null;
+
+  const byId = gallery.slides.findIndex(slide => slide.id !== undefined && String(slide.id) === token);
+  if (byId !== -1) return byId;
+
+  const position = Number(token);
+  if (Number.isInteger(position) && position >= 1 && position <= gallery.slides.length) {
+    return position - 1;
+  }
+
+  console.warn(`Deep link '${token}' matches no slide`);
+  return null;
+}
+
+// The URL addressing a slide, based on the current one
+export function slideUrl(gallery, index, location = window.location) {
+  const { deepLink, deepLinkParam } = gallery.config;
+  const slide = gallery.slides[index];
+  const token = String(slide.id ?? index + 1);
+  const url = new URL(location.href);
+
+  if (deepLink === 'query') {
+    url.searchParams.set(deepLinkParam, token);
+  } else {
+    url.hash = `/${deepLinkParam}/${encodeURIComponent(token)}`;
+  }
+
+  return url.href;
+}
+
+// Push a history entry for every slide change and navigate on back/forward.
+// Returns a function that removes the listeners.
+export function setupHistorySync(gallery) {
+  // Position of the shown entry in the session history, tells back from forward
+  let position = history.state?.[STATE_KEY] ?? 0;
+  history.replaceState({ ...history.state, [STATE_KEY]: position }, '', slideUrl(gallery, gallery.currentIndex));
+
+  const removeSlideChange = gallery.on('slidechange', ({ index }) => {
+    const url = slideUrl(gallery, index);
+    // Already there, e.g. when the change came from back/forward
+    if (url === window.location.href) return;
+
+    position++;
+    history.pushState({ ...history.state, [STATE_KEY]: position }, '', url);
+  });
+
+  const onPopState = (event) => {
+    const target = event.state?.[STATE_KEY];
+    const direction = target !== undefined && target < position ? 'previous' : 'next';
+    position = target ?? position + 1;
+
+    const index = slideIndexFromLocation(gallery);
+    if (index !== null && index !== gallery.currentIndex) {
+      gallery.goTo(index, { direction });
+    }
+  };
+
+  // Also fires when the hash is edited by hand, that entry has no state and counts as forward
+  window.addEventListener('popstate', onPopState);
+
+  return () => {
+    removeSlideChange();
+    window.removeEventListener('popstate', onPopState);
+  };
+}
+
+function readToken({ deepLink, deepLinkParam }, location) {
+  if (deepLink === 'query') {
+    return new URLSearchParams(location.search).get(deepLinkParam);
+  }
+
+  const prefix = `#/${deepLinkParam}/`;
+  if (!location.hash.startsWith(prefix)) return null;
+  return decodeURIComponent(location.hash.slice(prefix.length)) || null;
+}
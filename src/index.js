@@ -0,0 +1,16 @@
+// Public API for embedding the gallery in other pages and apps
+export { createGallery, ImageGallery, GALLERY_CONFIG } from './gallery.js';
+export { createKiosk, Kiosk, KIOSK_DEFAULTS } from './kiosk.js';
+export { SCRUB_DEFAULTS } from './controls.js';
+export { SYNC_DEFAULTS } from './sync.js';
+export { registerEffect, getEffect, listEffects, resolveEffectParams, DEFAULT_EFFECT } from './effects.js';
+export { DELAY_PATTERNS, loadDelayMap } from './delay-maps.js';
+export { OPTION_RULES, validateOption, parseUrlOptions, formatUrlOptions } from './options.js';
+export { loadPlaylist, normalizePlaylist } from './playlist.js';
+export { Slide } from './slide.js';
+export { THREERoot } from './three-root.js';
+export { exportTransition, exportPlaylist, downloadBlob, EXPORT_DEFAULTS } from './export.js';
+export { setGeometryCacheSize, clearGeometryCache } from './geometry-cache.js';
+export { TextureCache } from './texture-cache.js';
+export { slideUrl } from './history.js';
+export { parseImageMetadata } from './metadata.js';
@@ -0,0 +1,325 @@
+import * as THREE from 'three';
+import { createGallery } from './gallery.js';
+
+////////////////////
+// KIOSK
+////////////////////
+
+// Unattended playback for lobby screens and digital signage. The kiosk owns
+// a gallery that always auto-advances and
+//   - holds still while someone browses it, and plays again after
+//     idleTimeout seconds without interaction, optionally starting over from
+//     the first slide
+//   - switches playlists on a schedule by time of day and day of week
+//   - rebuilds the gallery (or reloads the page) when it stops making progress
+//
+// Schedule entries are tried in order, the first one matching the local time wins:
+//   { playlist, days: ['mon', 'tue', ...] or [1, 2, ...], from: '08:00', to: '12:30' }
+// days are Date.getDay() numbers (0 is Sunday) or three-letter names, every
+// day without them. from is inclusive and to exclusive, a range past
+// midnight ('22:00' to '06:00') wraps. The kiosk's own playlist plays when
+// no entry matches. Nothing here needs the network, playlists can be local files.
+//
+// Schedule switches and recoveries replace the gallery: subscribe to
+// 'gallerychange' to hook up listeners on the new one.
+
+export const KIOSK_DEFAULTS = {
+  idleTimeout: 60,           // Seconds without interaction before playing again, 0 to not hold the show for interaction
+  idleReturnToFirst: false,  // Start over from the first slide when playing again
+  schedule: [],              // Playlists by time of day and day of week, see above
+  scheduleInterval: 30,      // Seconds between schedule checks
+  watchdog: true,            // Recover when the gallery stops making progress
+  watchdogInterval: 10,      // Seconds between watchdog checks
+  watchdogGrace: 30,         // Seconds a slide or transition may overrun before the gallery counts as frozen
+  watchdogAction: 'gallery'  // 'gallery' rebuilds the gallery at its slide, 'page' reloads the page
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Interactions that put a person in control of the show
+const INTERACTION_EVENTS = ['pointerdown', 'keydown', 'wheel'];
+
+// Create a kiosk inside `element`. `options.kiosk` overrides KIOSK_DEFAULTS,
+// the other options go to createGallery() and autoAdvance is always on.
+// Await `kiosk.ready` to know when the first gallery is shown.
+export function createKiosk(element, options = {}) {
+  const kiosk = new Kiosk(element, options);
+  kiosk.ready = kiosk.mount();
+  return kiosk;
+}
+
+// Events dispatched by Kiosk, subscribe with kiosk.on(type, listener):
+//   gallerychange  { gallery, previousGallery, reason }, reason is 'start', 'schedule' or 'watchdog'
+//   idle           the show plays again after idleTimeout
+export class Kiosk extends THREE.EventDispatcher {
+  constructor(element, options = {}) {
+    super();
+
+    const { kiosk = {}, ...galleryOptions } = options;
+
+    this.element = element;
+    this.settings = { ...KIOSK_DEFAULTS, ...kiosk };
+    this.galleryOptions = { ...galleryOptions, autoAdvance: true };
+    this.schedule = this.settings.schedule.map(parseScheduleEntry);
+    this.gallery = null;
+    this.failed = false; // The gallery could not be created or its mount() rejected
+    this.scheduleEntry = null; // Schedule entry whose playlist is shown, null for the kiosk's own
+    this.idleTimer = null; // Pending return to playback after an interaction
+    this.scheduleTimer = null;
+    this.watchdogTimer = null;
+    this.watch = null; // Watchdog observations of the current gallery
+    this.removeListeners = [];
+    this.destroyed = false;
+  }
+
+  async mount() {
+    this.scheduleEntry = this.activeScheduleEntry();
+    await this.replaceGallery('start');
+
+    const onInteraction = () => this.holdForInteraction();
+    INTERACTION_EVENTS.forEach(type => {
+      window.addEventListener(type, onInteraction, { capture: true, passive: true });
+      this.removeListeners.push(() => window.removeEventListener(type, onInteraction, { capture: true }));
+    });
+
+    if (this.schedule.length > 0) {
+      this.scheduleTimer = setInterval(() => this.checkSchedule(), this.settings.scheduleInterval * 1000);
+    }
+    if (this.settings.watchdog) {
+      this.watchdogTimer = setInterval(() => this.checkWatchdog(), this.settings.watchdogInterval * 1000);
+    }
+
+    return this;
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    clearTimeout(this.idleTimer);
+    clearInterval(this.scheduleTimer);
+    clearInterval(this.watchdogTimer);
+    this.removeListeners.forEach(remove => remove());
+    this.removeListeners = [];
+
+    if (this.gallery) {
+      this.gallery.destroy();
+      this.gallery = null;
+    }
+  }
+
+  // Subscribe to a kiosk event, returns a function that unsubscribes
+  on(type, listener) {
+    this.addEventListener(type, listener);
+    return () => this.removeEventListener(type, listener);
+  }
+
+  emit(type, detail = {}) {
+    this.dispatchEvent({ type, ...detail });
+  }
+
+  // Someone is browsing: keep the slides still until they leave the gallery alone
+  holdForInteraction() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (this.settings.idleTimeout <= 0) return;
+
+    if (this.gallery && !this.gallery.destroyed) {
+      this.gallery.pause('interaction');
+    }
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.returnToShow();
+    }, this.settings.idleTimeout * 1000);
+  }
+
+  // Nobody is watching any more: close the overview and play, from the
+  // first slide when idleReturnToFirst is set
+  returnToShow() {
+    const gallery = this.gallery;
+    if (!gallery || gallery.destroyed) return;
+
+    // A schedule change held back while someone was using the gallery
+    if (this.activeScheduleEntry() !== this.scheduleEntry) {
+      this.checkSchedule();
+      return;
+    }
+
+    if (gallery.thumbnails && gallery.thumbnails.isOpen()) {
+      gallery.thumbnails.close();
+    }
+    gallery.resume('interaction');
+    gallery.play();
+    if (this.settings.idleReturnToFirst && gallery.currentIndex !== 0) {
+      gallery.goTo(0);
+    }
+    this.emit('idle');
+  }
+
+  // First schedule entry matching `date`, null when none does
+  activeScheduleEntry(date = new Date()) {
+    const day = date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return this.schedule.find(entry => entryMatches(entry, day, minutes)) ?? null;
+  }
+
+  checkSchedule() {
+    const entry = this.activeScheduleEntry();
+    if (entry === this.scheduleEntry) return;
+
+    // Don't pull the playlist away from someone using the gallery, the
+    // switch happens once they leave it alone
+    if (this.idleTimer !== null) return;
+
+    this.scheduleEntry = entry;
+    console.log(`Kiosk: switching to ${entry ? `the ${entry.label} playlist` : 'the default playlist'}`);
+    this.replaceGallery('schedule').catch(err => console.error('Kiosk: could not switch playlists', err));
+  }
+
+  // Destroy the gallery and create a new one in its place, starting at `startIndex`
+  async replaceGallery(reason, startIndex = 0) {
+    const previousGallery = this.gallery;
+    if (previousGallery) {
+      previousGallery.destroy();
+    }
+    this.gallery = null;
+    this.failed = false;
+    this.watch = null;
+
+    const playlist = this.scheduleEntry ? this.scheduleEntry.playlist : this.galleryOptions.playlist;
+    let gallery = null;
+    try {
+      // Invalid options throw right away, a playlist that won't load rejects ready
+      gallery = createGallery(this.element, { ...this.galleryOptions, playlist, startIndex });
+      this.gallery = gallery;
+      // A recovery while someone is browsing keeps holding the show
+      if (this.idleTimer !== null) {
+        gallery.pause('interaction');
+      }
+      await gallery.ready;
+    } catch (err) {
+      // The watchdog tries again on its next check
+      if (this.gallery !== gallery) return;
+      console.error('Kiosk: the gallery failed to start', err);
+      this.failed = true;
+      return;
+    }
+
+    if (this.destroyed || this.gallery !== gallery) return;
+    this.emit('gallerychange', { gallery, previousGallery, reason });
+  }
+
+  // Frozen means: the render loop stopped drawing while something moves, a
+  // transition runs far past its duration, or a playing slide stays far past
+  // its dwell time
+  checkWatchdog() {
+    if (this.destroyed) return;
+
+    if (this.failed) {
+      this.recover('it failed to start');
+      return;
+    }
+
+    const gallery = this.gallery;
+    if (!gallery) return;
+
+    // Hidden galleries don't draw, and exports drive the rendering themselves
+    const root = gallery.root;
+    if (!root.isVisible() || !root.running || !gallery.currentSlide) {
+      this.watch = null;
+      return;
+    }
+
+    const now = performance.now();
+    const previous = this.watch;
+    const state = gallery.playbackState;
+    this.watch = {
+      frameCount: root.frameCount,
+      animating: gallery.isAnimating(),
+      index: gallery.currentIndex,
+      state,
+      // Time spent in the same state on the same slide
+      since: previous && previous.index === gallery.currentIndex && previous.state === state ? previous.since : now
+    };
+    if (!previous) return;
+
+    if (previous.animating && this.watch.animating && root.frameCount === previous.frameCount) {
+      this.recover('its render loop stopped');
+      return;
+    }
+
+    const seconds = (now - this.watch.since) / 1000;
+    const grace = this.settings.watchdogGrace;
+    const index = gallery.currentIndex;
+
+    // The resolved duration, with per-slide overrides and reduced motion
+    const duration = gallery.activeTransition?.duration ?? gallery.config.transitionDuration;
+
+    if (state === 'transitioning' && seconds > duration + grace) {
+      this.recover('a transition never finished');
+    } else if (state === 'playing' && !playsUntilEnded(gallery) &&
+      seconds > gallery.setting(index, 'autoAdvanceDelay') + gallery.config.transitionDelay + grace) {
+      this.recover(`image ${index + 1} was never moved on from`);
+    }
+  }
+
+  recover(problem) {
+    console.warn(`Kiosk: the gallery looks frozen, ${problem}`);
+
+    if (this.settings.watchdogAction === 'page') {
+      window.location.reload();
+      return;
+    }
+
+    const gallery = this.gallery;
+    const index = gallery && !this.failed ? gallery.currentIndex : 0;
+    this.replaceGallery('watchdog', index).catch(err => console.error('Kiosk: could not recover the gallery', err));
+  }
+}
+
+// A video slide moving on when it ends has no fixed dwell time
+function playsUntilEnded(gallery) {
+  return !!gallery.currentSlide?.texture?.isVideoTexture &&
+    gallery.setting(gallery.currentIndex, 'videoAdvanceOnEnd');
+}
+
+function parseScheduleEntry(entry, i) {
+  if (!entry || entry.playlist === undefined) {
+    throw new Error(`Kiosk schedule entry ${i + 1} needs a playlist`);
+  }
+
+  const days = entry.days ? entry.days.map(day => {
+    const number = typeof day === 'string' ? DAY_NAMES.indexOf(day.slice(0, 3).toLowerCase()) : day;
+    if (!Number.isInteger(number) || number < 0 || number > 6) {
+      throw new Error(`Kiosk schedule entry ${i + 1} has an invalid day '${day}'`);
+    }
+    return number;
+  }) : null;
+
+  return {
+    playlist: entry.playlist,
+    days,
+    from: entry.from ? parseTime(entry.from, i) : 0,
+    to: entry.to ? parseTime(entry.to, i) : 24 * 60,
+    label: typeof entry.playlist === 'string' ? `'${entry.playlist}'` : `scheduled (entry ${i + 1})`
+  };
+}
+
+// 'HH:MM' -> minutes since midnight
+function parseTime(text, i) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!(minutes >= 0 && minutes <= 24 * 60 && Number(match[2]) < 60)) {
+    throw new Error(`Kiosk schedule entry ${i + 1} has an invalid time '${text}', expected 'HH:MM'`);
+  }
+  return minutes;
+}
+
+function entryMatches({ days, from, to }, day, minutes) {
+  if (from <= to) {
+    return (!days || days.includes(day)) && minutes >= from && minutes < to;
+  }
+  // Past midnight the range belongs to the day it started on
+  if (minutes >= from) return !days || days.includes(day);
+  return minutes < to && (!days || days.includes((day + 6) % 7));
+}
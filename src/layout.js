@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+////////////////////
+// LAYOUT
+////////////////////
+
+// Slides lie in the z = 0 plane. Their size in world units is derived from
+// what the camera sees of that plane, so a slide takes the same share of the
+// screen whatever the fov, camera distance or window shape.
+
+// On-screen size the effects' segmentDensity was tuned for, in CSS pixels per world unit
+const REFERENCE_PIXELS_PER_UNIT = 10;
+
+// Size in world units of the part of the z = 0 plane the camera sees
+export function visibleArea(camera) {
+  const distance = Math.abs(camera.position.z);
+  const height = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+  return { width: height * camera.aspect, height };
+}
+
+// World size of a slide showing media of mediaWidth x mediaHeight pixels.
+// `viewport` is the canvas size in CSS pixels.
+//   contain  as large as fits inside the viewport minus padding, keeping the aspect ratio
+//   cover    fills the viewport minus padding, keeping the aspect ratio and overflowing
+//   fill     exactly the viewport minus padding, stretching the media
+//   fixed    as large as fits inside fixedSize (world units), keeping the aspect ratio
+export function fitPlane(mediaWidth, mediaHeight, { camera, viewport, fit, padding, fixedSize }) {
+  const aspect = mediaWidth / mediaHeight || 1;
+
+  let area;
+  if (fit === 'fixed') {
+    area = fixedSize;
+  } else {
+    const visible = visibleArea(camera);
+    const unitsPerPixel = visible.height / viewport.height;
+    area = {
+      width: Math.max(1e-3, visible.width - 2 * padding * unitsPerPixel),
+      height: Math.max(1e-3, visible.height - 2 * padding * unitsPerPixel)
+    };
+  }
+
+  if (fit === 'fill') {
+    return { width: area.width, height: area.height };
+  }
+
+  // contain and fixed fit the limiting side, cover the other one
+  const wider = aspect > area.width / area.height;
+  const fitWidth = fit === 'cover' ? !wider : wider;
+
+  return fitWidth
+    ? { width: area.width, height: area.width / aspect }
+    : { width: area.height * aspect, height: area.height };
+}
+
+// Factor for the effects' segmentDensity so faces keep about the same size
+// on screen: big screens get more faces, small ones fewer. Capped at 2, the
+// face count grows with its square.
+export function segmentDetail(camera, viewport) {
+  const pixelsPerUnit = viewport.height / visibleArea(camera).height;
+  const detail = THREE.MathUtils.clamp(pixelsPerUnit / REFERENCE_PIXELS_PER_UNIT, 0.25, 2);
+  // Rounded so that similar window sizes share cached geometry
+  return Math.round(detail * 4) / 4;
+}
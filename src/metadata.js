@@ -0,0 +1,213 @@
+////////////////////
+// IMAGE METADATA
+////////////////////
+
+// Reads caption fields from a JPEG's own bytes, without any library or
+// server: EXIF (APP1 segment) and IPTC (Photoshop APP13 segment).
+// Returns { title, description, artist, copyright, date } with only the
+// fields found, and {} for other formats or damaged files. The date is when
+// the photo was taken (EXIF DateTimeOriginal or IPTC Date Created), never
+// when the file was last edited, returned as 'YYYY-MM-DD'.
+
+// Byte sizes of the TIFF field types, indexed by type
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+const EXIF_TAGS = {
+  0x010E: 'description', // ImageDescription
+  0x013B: 'artist',      // Artist
+  0x8298: 'copyright'    // Copyright
+};
+
+// Windows Explorer's UCS-2 tags
+const XP_TAGS = {
+  0x9C9B: 'title',       // XPTitle
+  0x9C9D: 'artist'       // XPAuthor
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const DATE_TIME_ORIGINAL = 0x9003;
+
+// IPTC IIM application record (2) datasets
+const IPTC_DATASETS = {
+  5: 'title',            // Object Name
+  80: 'artist',          // By-line
+  55: 'date',            // Date Created
+  116: 'copyright',      // Copyright Notice
+  120: 'description'     // Caption/Abstract
+};
+
+const utf8 = new TextDecoder('utf-8');
+const utf16 = new TextDecoder('utf-16le');
+
+export function parseImageMetadata(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return {};
+
+  let exif = {};
+  let iptc = {};
+  let offset = 2;
+
+  try {
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      // Start of scan or end of image: no metadata after this point
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA || marker === 0xFFD9) break;
+
+      const start = offset + 4;
+      const end = offset + 2 + view.getUint16(offset + 2);
+      if (end > view.byteLength) break;
+
+      if (marker === 0xFFE1 && readText(view, start, 6) === 'Exif\0\0') {
+        exif = parseExif(view, start + 6, end);
+      } else if (marker === 0xFFED && readText(view, start, 14) === 'Photoshop 3.0\0') {
+        iptc = parsePhotoshop(view, start + 14, end);
+      }
+
+      offset = end;
+    }
+  } catch (err) {
+    // A segment pointing outside the file, keep whatever was read so far
+    console.warn('Could not read image metadata:', err);
+  }
+
+  // IPTC fields are written on purpose by editors, EXIF ones mostly by cameras
+  return { ...exif, ...iptc };
+}
+
+function parseExif(view, tiffStart, end) {
+  const little = view.getUint16(tiffStart) === 0x4949; // 'II' byte order
+  if (view.getUint16(tiffStart + 2, little) !== 42) return {};
+
+  const result = {};
+  const ifd0 = readIfd(view, tiffStart, tiffStart + view.getUint32(tiffStart + 4, little), end, little);
+
+  for (const [tag, field] of Object.entries(EXIF_TAGS)) {
+    const entry = ifd0.get(Number(tag));
+    if (entry && entry.type === 2) {
+      setField(result, field, readText(view, entry.offset, entry.count));
+    }
+  }
+
+  for (const [tag, field] of Object.entries(XP_TAGS)) {
+    const entry = ifd0.get(Number(tag));
+    if (entry && entry.type === 1 && !result[field]) {
+      setField(result, field, utf16.decode(new Uint8Array(view.buffer, view.byteOffset + entry.offset, entry.count)));
+    }
+  }
+
+  // The date the photo was taken lives in the Exif sub-IFD
+  const pointer = ifd0.get(EXIF_IFD_POINTER);
+  if (pointer) {
+    const exifIfd = readIfd(view, tiffStart, tiffStart + view.getUint32(pointer.offset, little), end, little);
+    const taken = exifIfd.get(DATE_TIME_ORIGINAL);
+    if (taken && taken.type === 2) {
+      setField(result, 'date', readText(view, taken.offset, taken.count));
+    }
+  }
+
+  if (result.date) {
+    // 'YYYY:MM:DD HH:MM:SS'
+    const match = result.date.match(/^(\d{4}):(\d{2}):(\d{2})/);
+    if (match) {
+      result.date = `${match[1]}-${match[2]}-${match[3]}`;
+    } else {
+      delete result.date;
+    }
+  }
+
+  return result;
+}
+
+// Map of tag -> { type, count, offset } for the entries of one IFD,
+// where offset is the absolute position of the value
+function readIfd(view, tiffStart, ifdStart, end, little) {
+  const entries = new Map();
+  if (ifdStart + 2 > end) return entries;
+
+  const count = view.getUint16(ifdStart, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > end) break;
+
+    const type = view.getUint16(entry + 2, little);
+    const valueCount = view.getUint32(entry + 4, little);
+    const size = (TIFF_TYPE_SIZES[type] || 0) * valueCount;
+    // Values up to 4 bytes are stored in the entry itself
+    const offset = size <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, little);
+
+    if (offset + size <= end) {
+      entries.set(view.getUint16(entry, little), { type, count: valueCount, offset });
+    }
+  }
+
+  return entries;
+}
+
+// Photoshop image resources, IPTC is resource 0x0404
+function parsePhotoshop(view, offset, end) {
+  while (offset + 12 <= end && readText(view, offset, 4) === '8BIM') {
+    const id = view.getUint16(offset + 4);
+    // Pascal string name, padded to an even length
+    const nameLength = view.getUint8(offset + 6);
+    const sizeOffset = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+    if (sizeOffset + 4 > end) break;
+
+    const size = view.getUint32(sizeOffset);
+    const dataStart = sizeOffset + 4;
+    if (dataStart + size > end) break;
+
+    if (id === 0x0404) {
+      return parseIptc(view, dataStart, dataStart + size);
+    }
+
+    offset = dataStart + size + (size % 2);
+  }
+
+  return {};
+}
+
+function parseIptc(view, offset, end) {
+  const result = {};
+
+  while (offset + 5 <= end && view.getUint8(offset) === 0x1C) {
+    const record = view.getUint8(offset + 1);
+    const dataset = view.getUint8(offset + 2);
+    const size = view.getUint16(offset + 3);
+    // Extended sizes (high bit set) are only used for binary data, stop there
+    if (size & 0x8000) break;
+
+    const start = offset + 5;
+    if (start + size > end) break;
+
+    const field = record === 2 && IPTC_DATASETS[dataset];
+    if (field) {
+      setField(result, field, readText(view, start, size));
+    }
+
+    offset = start + size;
+  }
+
+  if (result.date) {
+    // 'CCYYMMDD'
+    const match = result.date.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (match) {
+      result.date = `${match[1]}-${match[2]}-${match[3]}`;
+    } else {
+      delete result.date;
+    }
+  }
+
+  return result;
+}
+
+function readText(view, offset, length) {
+  return utf8.decode(new Uint8Array(view.buffer, view.byteOffset + offset, length));
+}
+
+// Keep non-empty values only, without the NUL padding EXIF strings carry
+function setField(result, field, value) {
+  const text = value.replace(/\0+$/g, '').trim();
+  if (text) {
+    result[field] = text;
+  }
+}
@@ -0,0 +1,282 @@
+import { getEffect, listEffects } from './effects.js';
+import { SCRUB_DEFAULTS } from './controls.js';
+import { SYNC_DEFAULTS } from './sync.js';
+
+////////////////////
+// OPTIONS
+////////////////////
+
+// Validation of the gallery's settings. Every GALLERY_CONFIG key has a rule
+// here; options passed to createGallery() must follow them, settings from a
+// playlist manifest or the page URL that don't are ignored with a warning.
+//
+// URL query parameters override everything else when the urlOptions setting
+// is on, e.g. ?transitionDuration=2&transitionEffect=shatter,dissolve
+// Values are read as true/false, null, numbers, JSON objects and arrays or
+// comma-separated lists, anything else is kept as a string. Effect params
+// are set with the effect's name as prefix: ?shatter.maxDelayX=0.5
+
+// Settings read once when the gallery is mounted, changing them later only
+// takes effect for a new gallery
+export const MOUNT_OPTIONS = new Set([
+  'keyboard', 'controls', 'announce', 'label', 'thumbnails', 'thumbnailSize',
+  'captions', 'captionSidecar', 'captionMetadata', 'scrubbing', 'shuffleImages',
+  'deepLink', 'deepLinkParam', 'startIndex', 'urlOptions', 'tweakPanel', 'pauseOnHover',
+  'pauseOnHidden', 'sync', 'renderer'
+]);
+
+function boolean() {
+  return { check: value => typeof value === 'boolean', expected: 'true or false' };
+}
+
+function number({ min = -Infinity, above = -Infinity, max = Infinity, integer = false, nullable = false } = {}) {
+  const bounds = [
+    min > -Infinity && `at least ${min}`,
+    above > -Infinity && `greater than ${above}`,
+    max < Infinity && `at most ${max}`
+  ].filter(Boolean);
+
+  return {
+    check: value => (nullable && value === null) || (
+      typeof value === 'number' && Number.isFinite(value) &&
+      value >= min && value > above && value <= max &&
+      (!integer || Number.isInteger(value))
+    ),
+    expected: `${integer ? 'an integer' : 'a number'}${bounds.length ? ` ${bounds.join(' and ')}` : ''}${nullable ? ' or null' : ''}`
+  };
+}
+
+function string({ nullable = false } = {}) {
+  return {
+    check: value => (nullable && value === null) || (typeof value === 'string' && value !== ''),
+    expected: `a non-empty string${nullable ? ' or null' : ''}`
+  };
+}
+
+function oneOf(...values) {
+  return {
+    check: value => values.includes(value),
+    expected: `one of ${values.map(value => JSON.stringify(value)).join(', ')}`
+  };
+}
+
+function isEffectName(value) {
+  return typeof value === 'string' && listEffects().includes(value);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export const OPTION_RULES = {
+  autoAdvance: boolean(),
+  autoAdvanceDelay: number({ min: 0 }),
+  shuffleImages: boolean(),
+  transitionDuration: number({ min: 0 }),
+  transitionDelay: number({ min: 0 }),
+  pauseOnHover: boolean(),
+  pauseOnHidden: boolean(),
+  preloadRadius: number({ min: 0, integer: true }),
+  transitionEffect: {
+    check: value => value === 'random' || isEffectName(value) ||
+      (Array.isArray(value) && value.length > 0 && value.every(isEffectName)),
+    // Effects can be registered at any time, list the ones known now
+    get expected() {
+      return `one of ${listEffects().map(name => `'${name}'`).join(', ')}, an array of them or 'random'`;
+    }
+  },
+  transitionAxis: oneOf('horizontal', 'vertical'),
+  keyboard: oneOf(true, false, 'window'),
+  controls: boolean(),
+  announce: boolean(),
+  label: string(),
+  reducedMotion: oneOf('auto', true, false),
+  reducedMotionTransition: oneOf('crossfade', 'instant'),
+  reducedMotionDuration: number({ min: 0 }),
+  thumbnails: oneOf(null, 'strip', 'grid'),
+  thumbnailSize: number({ min: 16 }),
+  captions: boolean(),
+  captionSidecar: string({ nullable: true }),
+  captionMetadata: boolean(),
+  scrubbing: {
+    check: value => typeof value === 'boolean' || (isObject(value) &&
+      Object.entries(value).every(([key, setting]) => key in SCRUB_DEFAULTS && typeof setting === typeof SCRUB_DEFAULTS[key])),
+    expected: `true, false or an object with any of ${Object.keys(SCRUB_DEFAULTS).join(', ')}`
+  },
+  seed: {
+    check: value => value === null || typeof value === 'string' || Number.isFinite(value),
+    expected: 'a number, a string or null'
+  },
+  geometryCacheSize: number({ min: 0, integer: true }),
+  textureCacheSize: number({ min: 1, integer: true, nullable: true }),
+  textureCacheBytes: number({ min: 0, nullable: true }),
+  loadRetries: number({ min: 0, integer: true }),
+  loadRetryDelay: number({ min: 0 }),
+  brokenImages: oneOf('placeholder', 'skip'),
+  placeholderImage: string({ nullable: true }),
+  fov: number({ above: 0, max: 179 }),
+  cameraDistance: number({ above: 10 }), // Beyond the camera's near plane (see three-root.js)
+  fit: oneOf('contain', 'cover', 'fill', 'fixed'),
+  fitPadding: number({ min: 0 }),
+  fitSize: {
+    check: value => isObject(value) && value.width > 0 && value.height > 0,
+    expected: 'an object with a positive width and height'
+  },
+  interruptMode: oneOf('queue', 'finish', 'interrupt'),
+  finishSpeed: number({ above: 0 }),
+  queueLimit: number({ min: 0, integer: true }),
+  deepLink: oneOf(null, 'hash', 'query'),
+  deepLinkParam: string(),
+  startIndex: number({ min: 0, integer: true }),
+  videoAutoplay: boolean(),
+  videoMuted: boolean(),
+  videoLoop: boolean(),
+  videoAdvanceOnEnd: boolean(),
+  videoPauseOffscreen: boolean(),
+  delayMap: string({ nullable: true }),
+  delayMapOut: string(),
+  effectParams: {
+    check: value => isObject(value) &&
+      Object.entries(value).every(([effect, params]) => validateEffectParams(effect, params) === null),
+    expected: 'an object of effect name -> { param: number }'
+  },
+  urlOptions: boolean(),
+  tweakPanel: boolean(),
+  renderer: oneOf('auto', 'webgl', 'canvas'),
+  renderOnDemand: boolean(),
+  maxFps: number({ above: 0, nullable: true }),
+  sync: {
+    check: value => value === null || (isObject(value) &&
+      Object.keys(value).every(key => key in SYNC_DEFAULTS) &&
+      [undefined, 'leader', 'follower'].includes(value.role) &&
+      (value.url === undefined || value.url === null || typeof value.url === 'string')),
+    expected: `null or an object with any of ${Object.keys(SYNC_DEFAULTS).join(', ')}, role being 'leader' or 'follower'`
+  }
+};
+
+// Error message for an invalid setting, null when it is fine
+export function validateOption(key, value) {
+  const effectParam = splitEffectParam(key);
+  if (effectParam) {
+    return validateEffectParams(effectParam.effect, { [effectParam.param]: value });
+  }
+
+  const rule = OPTION_RULES[key];
+  if (!rule) return `Unknown gallery option '${key}'`;
+  if (!rule.check(value)) return `Gallery option '${key}' must be ${rule.expected}, got ${JSON.stringify(value)}`;
+  return null;
+}
+
+// Params of effects that are not registered yet can't be checked beyond being numbers
+function validateEffectParams(effectName, params) {
+  if (!isObject(params)) return `Params of effect '${effectName}' must be an object`;
+
+  const known = listEffects().includes(effectName) ? getEffect(effectName).params ?? {} : null;
+  for (const [param, value] of Object.entries(params)) {
+    if (known && !(param in known)) return `Effect '${effectName}' has no param '${param}'`;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `Effect param '${effectName}.${param}' must be a number, got ${JSON.stringify(value)}`;
+    }
+  }
+  return null;
+}
+
+// 'shatter.maxDelayX' -> { effect: 'shatter', param: 'maxDelayX' }, null for plain keys
+export function splitEffectParam(key) {
+  const dot = key.indexOf('.');
+  return dot > 0 ? { effect: key.slice(0, dot), param: key.slice(dot + 1) } : null;
+}
+
+// Apply `options` onto `config`. Effect params are merged per effect, given
+// either as `effectParams` or as 'effect.param' keys. Invalid options throw
+// in strict mode and are skipped with a warning otherwise.
+export function applyOptions(config, options, { strict = true, source = 'options' } = {}) {
+  for (const [key, value] of Object.entries(options ?? {})) {
+    const error = validateOption(key, value);
+    if (error) {
+      if (strict) throw new Error(error);
+      console.warn(`${error}, ignoring it in the ${source}`);
+      continue;
+    }
+
+    const effectParam = splitEffectParam(key);
+    if (effectParam) {
+      mergeEffectParams(config, { [effectParam.effect]: { [effectParam.param]: value } });
+    } else if (key === 'effectParams') {
+      mergeEffectParams(config, value);
+    } else {
+      config[key] = value;
+    }
+  }
+
+  return config;
+}
+
+function mergeEffectParams(config, effectParams) {
+  config.effectParams = { ...config.effectParams };
+  for (const [effect, params] of Object.entries(effectParams)) {
+    config.effectParams[effect] = { ...config.effectParams[effect], ...params };
+  }
+}
+
+// Gallery options given in a query string, see the top of this file
+export function parseUrlOptions(search = window.location.search) {
+  const options = {};
+
+  for (const [key, text] of new URLSearchParams(search)) {
+    if (!(key in OPTION_RULES) && !splitEffectParam(key)) continue; // Belongs to the page
+    options[key] = parseUrlValue(text);
+  }
+
+  return options;
+}
+
+function parseUrlValue(text) {
+  const value = text.trim();
+
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (value !== '' && Number.isFinite(Number(value))) return Number(value);
+
+  if (value.startsWith('{') || value.startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  if (value.includes(',')) {
+    return value.split(',').map(part => part.trim()).filter(Boolean);
+  }
+
+  return value;
+}
+
+// Query string reproducing the settings of `config` that differ from
+// `defaults`, the reverse of parseUrlOptions()
+export function formatUrlOptions(config, defaults) {
+  const search = new URLSearchParams();
+
+  for (const key of Object.keys(OPTION_RULES)) {
+    if (key === 'effectParams') continue;
+    const value = config[key];
+    if (JSON.stringify(value) === JSON.stringify(defaults[key])) continue;
+
+    search.set(key, Array.isArray(value) && value.every(name => !name.includes(','))
+      ? value.join(',')
+      : typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+  }
+
+  for (const [effect, params] of Object.entries(config.effectParams ?? {})) {
+    for (const [param, value] of Object.entries(params)) {
+      const defaultValue = listEffects().includes(effect) ? getEffect(effect).params?.[param] : undefined;
+      if (value !== defaultValue) {
+        search.set(`${effect}.${param}`, String(value));
+      }
+    }
+  }
+
+  return search.toString();
+}
@@ -0,0 +1,118 @@
+////////////////////
+// PLAYBACK
+////////////////////
+
+// The slideshow is in one of these states, see ImageGallery.playbackState:
+//   playing        waiting out the dwell time before moving on
+//   paused         paused by the user, or held by hover, a hidden tab, a lost
+//                  WebGL context or a kiosk being browsed
+//   stopped        not auto-advancing, navigation is up to the user
+//   transitioning  a transition is playing
+//   scrubbing      a transition is being dragged
+//
+// Pausing freezes the dwell countdown, resuming carries on with the time
+// that was left.
+
+// Countdown to the next auto-advance that can be paused and resumed.
+// `onElapsed` is called once the full duration has run.
+export class DwellTimer {
+  constructor(onElapsed) {
+    this.onElapsed = onElapsed;
+    this.duration = 0; // Seconds, 0 while idle
+    this.remaining = 0; // Seconds left when the countdown was last paused or started
+    this.startedAt = null; // performance.now() of the last start or resume
+    this.timer = null;
+    this.active = false;
+    this.paused = false;
+  }
+
+  start(seconds) {
+    this.clear();
+    this.active = true;
+    this.duration = seconds;
+    this.remaining = seconds;
+    this.run();
+  }
+
+  pause() {
+    if (!this.active || this.paused) return;
+    clearTimeout(this.timer);
+    this.remaining = this.timeLeft();
+    this.paused = true;
+  }
+
+  resume() {
+    if (!this.active || !this.paused) return;
+    this.run();
+  }
+
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.active = false;
+    this.paused = false;
+    this.duration = 0;
+    this.remaining = 0;
+  }
+
+  // Seconds until the countdown runs out
+  timeLeft() {
+    if (!this.active) return 0;
+    if (this.paused) return this.remaining;
+    return Math.max(0, this.remaining - (performance.now() - this.startedAt) / 1000);
+  }
+
+  // Fraction of the dwell time that has passed, 0 while idle
+  get progress() {
+    if (!this.active || this.duration <= 0) return 0;
+    return Math.min(1, 1 - this.timeLeft() / this.duration);
+  }
+
+  run() {
+    this.paused = false;
+    this.startedAt = performance.now();
+    this.timer = setTimeout(() => {
+      this.clear();
+      this.onElapsed();
+    }, this.remaining * 1000);
+  }
+}
+
+// Hold the slideshow while the mouse is over `element` (pauseOnHover) and
+// while the tab is hidden (pauseOnHidden). Returns a function that stops it.
+export function setupAutoPause(gallery, element) {
+  const removeListeners = [];
+
+  function listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    removeListeners.push(() => target.removeEventListener(type, handler));
+  }
+
+  if (gallery.config.pauseOnHover) {
+    // Touch and pen fire enter and leave around every tap
+    listen(element, 'pointerenter', e => {
+      if (e.pointerType === 'mouse') gallery.pause('hover');
+    });
+    listen(element, 'pointerleave', e => {
+      if (e.pointerType === 'mouse') gallery.resume('hover');
+    });
+  }
+
+  if (gallery.config.pauseOnHidden) {
+    const update = () => {
+      if (document.hidden) {
+        gallery.pause('hidden');
+      } else {
+        gallery.resume('hidden');
+      }
+    };
+    listen(document, 'visibilitychange', update);
+    update();
+  }
+
+  return () => {
+    removeListeners.forEach(remove => remove());
+    gallery.resume('hover');
+    gallery.resume('hidden');
+  };
+}
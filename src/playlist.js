@@ -0,0 +1,112 @@
+import { DELAY_PATTERNS } from './delay-maps.js';
+
+////////////////////
+// PLAYLIST
+////////////////////
+
+// A playlist is a list of slide entries, either passed in directly or
+// loaded at runtime from a JSON manifest. The manifest is an array of
+// entries, or an object with `slides` and optional gallery `settings`:
+//
+// {
+//   "settings": { "autoAdvance": true, "transitionEffect": "random" },
+//   "slides": [
+//     "photos/plain.jpg",
+//     {
+//       "src": "photos/harbour.jpg",
+//       "alt": "Boats in the harbour at dawn",
+//       "title": "Harbour",
+//       "caption": "Boats in the harbour at dawn",
+//       "credit": "A. Photographer",
+//       "date": "2024-05-06",
+//       "duration": 8,
+//       "effect": "dissolve",
+//       "transitionDuration": 2
+//     }
+//   ]
+// }
+//
+// `duration` is the time in seconds the slide stays on screen before
+// auto-advancing, `effect` and `transitionDuration` apply to the transition
+// that brings the slide in. Each overrides the matching GALLERY_CONFIG value.
+// An optional `seed` gives the slide the same geometry every time it is shown,
+// an optional `id` names the slide in deep links (see history.js) and an
+// optional `thumbnail` URL is used instead of a generated thumbnail.
+// `title`, `caption`, `credit` and `date` are shown by the caption overlay
+// (see captions.js).
+//
+// Entries whose `src` ends in .mp4, .m4v, .webm, .mov or .ogv are video
+// slides, `type: "video"` or `"image"` overrides the guess. Video entries may
+// set `muted`, `loop` and `advanceOnEnd` (see the video* GALLERY_CONFIG keys).
+// `fit` overrides the gallery's fit mode for one slide, and `delayMap` the
+// delay map of the transition that brings it in (see delay-maps.js).
+// Relative `src` and `delayMap` image paths are resolved against the manifest URL.
+
+// GALLERY_CONFIG keys that a slide entry can override, and the entry field holding the override
+export const SLIDE_OVERRIDES = {
+  autoAdvanceDelay: 'duration',
+  transitionEffect: 'effect',
+  transitionDuration: 'transitionDuration',
+  videoMuted: 'muted',
+  videoLoop: 'loop',
+  videoAdvanceOnEnd: 'advanceOnEnd',
+  fit: 'fit',
+  delayMap: 'delayMap'
+};
+
+// Sources played as video slides unless the entry sets its `type`
+const VIDEO_SOURCE = /\.(mp4|m4v|webm|mov|ogv)([?#]|$)/i;
+
+export async function loadPlaylist(url) {
+  const manifestUrl = new URL(url, document.baseURI);
+  const response = await fetch(manifestUrl);
+
+  if (!response.ok) {
+    throw new Error(`Failed to load playlist '${url}': ${response.status} ${response.statusText}`);
+  }
+
+  return normalizePlaylist(await response.json(), manifestUrl);
+}
+
+// Turn manifest data (array or { slides, settings }) into { slides, settings }
+export function normalizePlaylist(data, baseUrl) {
+  const rawSlides = Array.isArray(data) ? data : data?.slides;
+
+  if (!Array.isArray(rawSlides)) {
+    throw new Error('Playlist must be an array of slides or an object with a "slides" array');
+  }
+
+  const slides = [];
+  rawSlides.forEach((entry, index) => {
+    const slide = normalizeSlide(entry, baseUrl);
+    if (slide) {
+      slides.push(slide);
+    } else {
+      console.warn(`Playlist entry ${index + 1} has no "src", skipping`, entry);
+    }
+  });
+
+  return {
+    slides,
+    settings: (!Array.isArray(data) && data.settings) || {}
+  };
+}
+
+function normalizeSlide(entry, baseUrl) {
+  if (typeof entry === 'string') {
+    entry = { src: entry };
+  }
+
+  if (!entry || typeof entry.src !== 'string' || entry.src === '') {
+    return null;
+  }
+
+  return {
+    ...entry,
+    src: baseUrl ? new URL(entry.src, baseUrl).href : entry.src,
+    ...(entry.delayMap && baseUrl && !(entry.delayMap in DELAY_PATTERNS) && { delayMap: new URL(entry.delayMap, baseUrl).href }),
+    type: entry.type ?? (VIDEO_SOURCE.test(entry.src) ? 'video' : 'image'),
+    alt: entry.alt ?? '',
+    caption: entry.caption ?? null
+  };
+}
@@ -0,0 +1,50 @@
+////////////////////
+// SEEDED RANDOMNESS
+////////////////////
+
+// Random number source with the helpers the effects need. Given a seed
+// (number or string) it is a mulberry32 PRNG, so the same seed always
+// produces the same sequence. Without a seed it falls back to Math.random.
+export function createRandom(seed) {
+  if (seed === undefined || seed === null) {
+    return wrap(Math.random);
+  }
+
+  let state = hashSeed(seed);
+
+  return wrap(() => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  });
+}
+
+// Combine several values into a single 32 bit seed,
+// e.g. deriveSeed(gallerySeed, slideIndex, variation)
+export function deriveSeed(...parts) {
+  return hashSeed(parts.join(':'));
+}
+
+// FNV-1a hash of the seed's string form
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+function wrap(next) {
+  return {
+    random: next,
+    // Same semantics as THREE.MathUtils.randFloat / randFloatSpread
+    randFloat: (low, high) => low + next() * (high - low),
+    randFloatSpread: (range) => range * (0.5 - next()),
+    pick: (array) => array[Math.floor(next() * array.length)]
+  };
+}
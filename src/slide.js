@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { DEFAULT_EFFECT, getEffect, resolveEffectParams } from './effects.js';
+import { generateSlideAttributes, createBufferGeometry, SWEEP_FRAMES } from './geometry.js';
+import { buildSlideAttributes } from './geometry-cache.js';
+
+export class Slide extends THREE.Mesh {
+  // Build a slide with its geometry generated off the main thread and cached (see geometry-cache.js)
+  static async create(width, height, animationPhase, effectName = DEFAULT_EFFECT, seed = null, detail = 1, params = null, delayMap = null, sweep = 'right') {
+    const built = await buildSlideAttributes(getEffect(effectName).name, width, height, animationPhase, seed, detail, params, delayMap, sweep);
+    return new Slide(width, height, animationPhase, effectName, seed, built, detail, params, delayMap, sweep);
+  }
+
+  // The same seed always produces identical attribute buffers, leave it out for a random look.
+  // `built` is the output of generateSlideAttributes(), it is generated synchronously when omitted.
+  // `detail` scales the effect's segment density (see layout.js), `params` overrides the effect's params
+  // and `delayMap` replaces the effect's sweep (see delay-maps.js). `sweep` is the direction
+  // the transition travels in, 'right', 'left', 'up' or 'down' (see geometry.js).
+  constructor(width, height, animationPhase, effectName = DEFAULT_EFFECT, seed = null, built = null, detail = 1, params = null, delayMap = null, sweep = 'right') {
+    const effect = getEffect(effectName);
+    const { attributes, totalDuration } = built ?? generateSlideAttributes(effect.name, width, height, animationPhase, seed, detail, params, delayMap, sweep);
+    const geometry = createBufferGeometry(attributes);
+
+    // Create shader material
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uTexture: { value: null },
+        uPhase: { value: animationPhase === 'in' ? 1.0 : -1.0 }, // 1.0 for 'in', -1.0 for 'out'
+        ...(effect.uniforms ? effect.uniforms({ width, height, params: resolveEffectParams(effect, params), sweep: SWEEP_FRAMES[sweep] }) : {})
+      },
+      vertexShader: effect.vertexShader,
+      fragmentShader: effect.fragmentShader,
+      transparent: !!effect.transparent,
+      side: THREE.DoubleSide
+    });
+
+    super(geometry, material);
+
+    this.frustumCulled = false;
+    this.totalDuration = totalDuration;
+    this.animationPhase = animationPhase; // Store the phase
+    this.effectName = effect.name;
+    this.seed = seed;
+    this.width = width; // Size the geometry was built at, the gallery scales the mesh to follow the viewport
+    this.height = height;
+    this.detail = detail;
+    this.params = params;
+    this.delayMapKey = delayMap?.key ?? null;
+    this.sweep = sweep;
+  }
+
+  get time() {
+    return this.material.uniforms.uTime.value;
+  }
+
+  set time(v) {
+    this.material.uniforms.uTime.value = v;
+  }
+
+  get phase() {
+    return this.animationPhase;
+  }
+
+  set phase(value) {
+    this.animationPhase = value;
+    this.material.uniforms.uPhase.value = value === 'in' ? 1.0 : -1.0;
+  }
+
+  get texture() {
+    return this.material.uniforms.uTexture.value;
+  }
+
+  setTexture(texture) {
+    this.material.uniforms.uTexture.value = texture;
+    this.material.needsUpdate = true;
+  }
+
+  transition(duration) {
+    return gsap.fromTo(this,
+      { time: 0.0 },
+      { time: this.totalDuration, duration, ease: 'none' }
+    );
+  }
+
+  // Play back from the current time to the start, e.g. to undo an interrupted entrance
+  rewind(duration) {
+    return gsap.fromTo(this,
+      { time: this.time },
+      { time: 0.0, duration, ease: 'none' }
+    );
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
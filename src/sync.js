@@ -0,0 +1,304 @@
+import gsap from 'gsap';
+
+////////////////////
+// SYNC
+////////////////////
+
+// Synchronized playback across screens. A leader gallery broadcasts its
+// state, followers mirror the current slide, the start of every transition
+// and its timeline position, scrubbing included. Followers don't run their
+// own clock: every frame they seek their paused timeline to where the
+// leader's is at that moment, so pieces crossing from one screen to the next
+// line up.
+//
+// Transport is a BroadcastChannel between windows of one browser, or a
+// WebSocket to a relay (scripts/sync-relay.js) for separate machines. Over a
+// relay all clocks are measured against the relay's, round trips are timed
+// and the fastest recent ones give the offset, so slow and drifting clocks
+// on the screens don't matter.
+//
+// All screens need the same playlist. Random effects and geometry follow the
+// leader's seed, a leader without one picks it.
+
+export const SYNC_DEFAULTS = {
+  role: 'follower',        // 'leader' drives the show, 'follower' mirrors it
+  channel: 'image-gallery', // BroadcastChannel name, galleries on different channels ignore each other
+  url: null,               // WebSocket URL of a relay instead, e.g. 'ws://192.168.1.10:8787/lobby' (the path is the channel)
+  heartbeat: 1,            // Seconds between repeated leader states, so late followers catch up
+  clockInterval: 2         // Seconds between clock measurements against the relay
+};
+
+// Clock samples kept, the one with the fastest round trip wins
+const CLOCK_SAMPLES = 8;
+
+// Whether sync `options` make the gallery a follower. Followers leave
+// navigation to the leader and get no keyboard, scrubbing or navigation UI.
+export function isSyncFollower(options) {
+  return !!options && { ...SYNC_DEFAULTS, ...options }.role !== 'leader';
+}
+
+// Mirror galleries according to `options` (see SYNC_DEFAULTS). Returns a
+// function that stops syncing.
+export function setupSync(gallery, options = {}) {
+  const settings = { ...SYNC_DEFAULTS, ...options };
+  const clock = createSyncClock();
+  const transport = settings.url
+    ? openWebSocket(settings.url, handleMessage, handleOpen)
+    : openBroadcastChannel(settings.channel, handleMessage, handleOpen);
+  const role = settings.role === 'leader' ? setupLeader(gallery, transport, clock, settings) : setupFollower(gallery, transport, clock);
+
+  let clockTimer = null;
+  if (settings.url) {
+    const measure = () => transport.send({ type: 'ping', sentAt: clock.localTime() });
+    clockTimer = setInterval(measure, settings.clockInterval * 1000);
+  }
+
+  function handleOpen() {
+    if (settings.url) {
+      transport.send({ type: 'ping', sentAt: clock.localTime() });
+    }
+    role.open();
+  }
+
+  function handleMessage(message) {
+    if (message.type === 'pong') {
+      clock.addSample(message.sentAt, message.relayTime, clock.localTime());
+    } else {
+      role.receive(message);
+    }
+  }
+
+  return () => {
+    clearInterval(clockTimer);
+    role.destroy();
+    transport.close();
+  };
+}
+
+// Time shared by all screens in milliseconds: the local epoch time over a
+// BroadcastChannel, the relay's over a WebSocket
+function createSyncClock() {
+  const samples = [];
+  let offset = 0;
+
+  return {
+    localTime: () => performance.timeOrigin + performance.now(),
+    now() {
+      return this.localTime() + offset;
+    },
+    // The relay answered a ping sent at `sentAt` with its own time, received at `receivedAt`
+    addSample(sentAt, relayTime, receivedAt) {
+      samples.push({ roundTrip: receivedAt - sentAt, offset: relayTime - (sentAt + receivedAt) / 2 });
+      if (samples.length > CLOCK_SAMPLES) samples.shift();
+      offset = samples.reduce((best, sample) => sample.roundTrip < best.roundTrip ? sample : best).offset;
+    }
+  };
+}
+
+function setupLeader(gallery, transport, clock, settings) {
+  let lastSent = null; // { state, sentAt } of the last broadcast
+
+  // A shared seed, so followers build the same geometry and pick the same effects
+  if (gallery.config.seed === null) {
+    gallery.setOption('seed', Math.floor(Math.random() * 0x100000000));
+  }
+
+  function currentState() {
+    const transition = gallery.activeTransition;
+    const timeline = gallery.timeline;
+
+    return {
+      type: 'state',
+      index: gallery.currentIndex,
+      seed: gallery.config.seed,
+      at: clock.now(),
+      transition: transition && timeline ? {
+        from: transition.from,
+        to: transition.to,
+        direction: transition.direction,
+        effect: transition.effect,
+        duration: transition.duration,
+        variation: transition.variation,
+        time: timeline.time(),
+        // Seconds of timeline per second, 0 while paused or scrubbed
+        rate: timeline.paused() ? 0 : timeline.timeScale() * (timeline.reversed() ? -1 : 1)
+      } : null
+    };
+  }
+
+  function send(state) {
+    transport.send(state);
+    lastSent = { state, sentAt: performance.now() };
+  }
+
+  // Every frame, send the state when followers couldn't predict it: another
+  // slide or transition, a new rate, or a timeline being moved by hand
+  function update() {
+    const state = currentState();
+    const last = lastSent && lastSent.state;
+    const a = state.transition;
+    const b = last && last.transition;
+
+    const changed = !last || state.index !== last.index || state.seed !== last.seed ||
+      !a !== !b ||
+      (a && (a.variation !== b.variation || a.to !== b.to || a.rate !== b.rate || (a.rate === 0 && a.time !== b.time)));
+
+    if (changed || performance.now() - lastSent.sentAt > settings.heartbeat * 1000) {
+      send(state);
+    }
+  }
+
+  gsap.ticker.add(update);
+
+  return {
+    open: () => send(currentState()),
+    receive(message) {
+      // A follower joined
+      if (message.type === 'hello') send(currentState());
+    },
+    destroy: () => gsap.ticker.remove(update)
+  };
+}
+
+function setupFollower(gallery, transport, clock) {
+  let leader = null; // Last state received from the leader
+  let requested = null; // 'variation:to' of the last transition started on the leader's behalf
+
+  // The leader decides when to move on, and its transitions cut into ours
+  gallery.setOption('autoAdvance', false);
+  gallery.setOption('interruptMode', 'interrupt');
+
+  function isMirrored(transition, active) {
+    return active && transition && active.variation === transition.variation && active.to === transition.to;
+  }
+
+  function receive(message) {
+    if (message.type !== 'state') return;
+    leader = message;
+
+    if (message.seed !== gallery.config.seed) {
+      gallery.setOption('seed', message.seed);
+    }
+
+    // The first slide is still being shown, catch up once it is there
+    if (gallery.currentSlide) {
+      mirror(message);
+    }
+  }
+
+  function mirror(message) {
+    const transition = message.transition;
+    const active = gallery.activeTransition;
+
+    if (transition) {
+      const key = `${transition.variation}:${transition.to}`;
+      if (key !== requested && !isMirrored(transition, active)) {
+        requested = key;
+        gallery.goTo(transition.to, {
+          direction: transition.direction,
+          effect: transition.effect,
+          duration: transition.duration,
+          variation: transition.variation
+        });
+      }
+    } else if (active && gallery.timeline) {
+      // The leader's transition is over: reverted or finished
+      if (message.index === active.from) {
+        gallery.cancelTransition();
+      } else {
+        gallery.timeline.progress(1);
+      }
+    } else if (!gallery.isTransitioning && message.index !== gallery.currentIndex) {
+      // Joined late or missed a transition, jump straight there
+      gallery.goTo(message.index, { duration: 0 });
+    }
+  }
+
+  // Put the timeline where the leader's is now
+  function follow() {
+    const transition = leader && leader.transition;
+    const timeline = gallery.timeline;
+    if (!timeline || !isMirrored(transition, gallery.activeTransition)) return;
+
+    const elapsed = (clock.now() - leader.at) / 1000;
+    const time = Math.min(Math.max(transition.time + elapsed * transition.rate, 0), timeline.duration());
+    timeline.pause();
+    if (time !== timeline.time()) {
+      timeline.time(time);
+    }
+  }
+
+  gsap.ticker.add(follow);
+  // States that arrived while the first slide was being shown
+  const removeFirstSlideListener = gallery.on('slidechange', () => {
+    removeFirstSlideListener();
+    if (leader) mirror(leader);
+  });
+  const removeListeners = [
+    gallery.on('transitionstart', follow),
+    removeFirstSlideListener
+  ];
+
+  return {
+    open: () => transport.send({ type: 'hello' }),
+    receive,
+    destroy() {
+      gsap.ticker.remove(follow);
+      removeListeners.forEach(remove => remove());
+    }
+  };
+}
+
+function openBroadcastChannel(name, onMessage, onOpen) {
+  const channel = new BroadcastChannel(name);
+  channel.onmessage = e => onMessage(e.data);
+  // Open right away, but let the caller finish setting up first
+  queueMicrotask(onOpen);
+
+  return {
+    send: message => channel.postMessage(message),
+    close: () => channel.close()
+  };
+}
+
+// Reconnects with a growing delay, up to half a minute, while the relay is away
+function openWebSocket(url, onMessage, onOpen) {
+  let socket = null;
+  let closed = false;
+  let retryDelay = 1;
+  let retryTimer = null;
+
+  function connect() {
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      retryDelay = 1;
+      onOpen();
+    };
+    socket.onmessage = e => {
+      try {
+        onMessage(JSON.parse(e.data));
+      } catch (err) {
+        console.warn('Sync: ignoring a malformed message', err);
+      }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      retryTimer = setTimeout(connect, retryDelay * 1000);
+      retryDelay = Math.min(retryDelay * 2, 30);
+    };
+  }
+  connect();
+
+  return {
+    send(message) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket.close();
+    }
+  };
+}
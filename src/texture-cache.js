@@ -0,0 +1,104 @@
+import { mediaSize, releaseVideoElement } from './video.js';
+
+////////////////////
+// TEXTURE CACHE
+////////////////////
+
+// Holds loaded textures up to a budget, by count and/or estimated GPU bytes.
+// When over budget the least recently used textures are disposed, except
+// the ones the caller still needs (the preload window and the slides on screen).
+export class TextureCache {
+  constructor({ maxCount = Infinity, maxBytes = Infinity } = {}) {
+    this.maxCount = maxCount;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> { texture, bytes }, least recently used first
+    this.stats = { hits: 0, misses: 0, evictions: 0, count: 0, bytes: 0 };
+  }
+
+  // Estimated GPU memory of a texture: RGBA8, plus a third for mipmaps
+  static estimateBytes(texture) {
+    if (!texture.image) return 0;
+
+    const { width, height } = mediaSize(texture.image);
+    const bytes = (width || 0) * (height || 0) * 4;
+    return texture.generateMipmaps ? Math.ceil(bytes * 4 / 3) : bytes;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  // Look up a texture, counting the hit or miss and marking it as recently used
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.texture;
+  }
+
+  // Look up a texture without touching the statistics or the LRU order
+  peek(key) {
+    return this.entries.get(key)?.texture ?? null;
+  }
+
+  // Every cached texture, least recently used first
+  textures() {
+    return [...this.entries.values()].map(entry => entry.texture);
+  }
+
+  set(key, texture) {
+    this.delete(key);
+
+    const entry = { texture, bytes: TextureCache.estimateBytes(texture) };
+    this.entries.set(key, entry);
+    this.stats.count = this.entries.size;
+    this.stats.bytes += entry.bytes;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    entry.texture.dispose();
+    if (entry.texture.isVideoTexture) {
+      releaseVideoElement(entry.texture.image);
+    }
+    this.entries.delete(key);
+    this.stats.count = this.entries.size;
+    this.stats.bytes -= entry.bytes;
+  }
+
+  isOverBudget() {
+    return this.entries.size > this.maxCount || this.stats.bytes > this.maxBytes;
+  }
+
+  // Dispose least recently used textures until the cache fits its budget.
+  // Keys in `keep` are never evicted. Returns the evicted [key, bytes] pairs.
+  trim(keep = new Set()) {
+    const evicted = [];
+
+    for (const [key, entry] of this.entries) {
+      if (!this.isOverBudget()) break;
+      if (keep.has(key)) continue;
+
+      this.delete(key);
+      this.stats.evictions++;
+      evicted.push([key, entry.bytes]);
+    }
+
+    return evicted;
+  }
+
+  clear() {
+    for (const key of [...this.entries.keys()]) {
+      this.delete(key);
+    }
+  }
+}
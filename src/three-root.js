@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { CanvasRenderer } from './canvas-renderer.js';
+
+// Renderer, camera and scene living inside a container element.
+// The canvas follows the size of the container.
+//
+// With renderOnDemand a frame is only drawn after invalidate() or while
+// isAnimating() returns true, so a still scene costs nothing. maxFps caps
+// the frames drawn per second. Unless pauseWhenHidden is off, the loop
+// sleeps while the container is scrolled out of view or the tab is hidden.
+//
+// `renderer` is 'webgl', 'canvas' for the Canvas 2D fallback (see
+// canvas-renderer.js), or 'auto' for WebGL unless the browser can't create
+// a context. A lost WebGL context stops the loop until it is restored,
+// onContextLost and onContextRestored are called on both.
+export class THREERoot {
+  constructor(container, params) {
+    params = Object.assign({
+      fov: 60,
+      zNear: 10,
+      zFar: 100000,
+      createCameraControls: true,
+      antialias: true,
+      renderer: 'auto',
+      renderOnDemand: false,
+      maxFps: null,
+      pauseWhenHidden: true
+    }, params);
+
+    this.container = container;
+
+    this.renderer = createRenderer(params);
+    this.renderer.setPixelRatio(Math.min(2, window.devicePixelRatio || 1));
+    this.renderer.domElement.style.display = 'block';
+    container.appendChild(this.renderer.domElement);
+
+    this.camera = new THREE.PerspectiveCamera(
+      params.fov,
+      1,
+      params.zNear,
+      params.zFar
+    );
+
+    this.scene = new THREE.Scene();
+
+    if (params.createCameraControls) {
+      this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    }
+
+    this.resize = this.resize.bind(this);
+    this.tick = this.tick.bind(this);
+    this.updateVisibility = this.updateVisibility.bind(this);
+    this.frameId = null; // Pending animation frame
+    this.running = false; // Between start() and stop()
+    this.renderOnDemand = params.renderOnDemand;
+    this.maxFps = params.maxFps; // null for the display's refresh rate
+    this.isAnimating = null; // Function returning true while the scene moves, with renderOnDemand
+    this.needsRender = true;
+    this.frameCount = 0; // Frames drawn so far
+    this.lastFrameTime = -Infinity;
+    this.pauseWhenHidden = params.pauseWhenHidden;
+    this.onScreen = true;
+    this.contextLost = false;
+    this.onContextLost = null;
+    this.onContextRestored = null;
+    this.fixedSize = null;
+    this.size = { width: 1, height: 1 }; // Viewport size in CSS pixels (or output pixels with a fixed size)
+    this.onResize = null; // Called with the new size after every resize
+
+    this.resize();
+    this.start();
+
+    this.resizeObserver = new ResizeObserver(this.resize);
+    this.resizeObserver.observe(container);
+
+    this.intersectionObserver = new IntersectionObserver(entries => {
+      this.onScreen = entries[entries.length - 1].isIntersecting;
+      this.updateVisibility();
+    });
+    this.intersectionObserver.observe(container);
+    document.addEventListener('visibilitychange', this.updateVisibility);
+
+    // Mobile browsers drop contexts of background tabs and under memory pressure
+    this.handleContextLost = this.handleContextLost.bind(this);
+    this.handleContextRestored = this.handleContextRestored.bind(this);
+    this.renderer.domElement.addEventListener('webglcontextlost', this.handleContextLost);
+    this.renderer.domElement.addEventListener('webglcontextrestored', this.handleContextRestored);
+  }
+
+  handleContextLost(e) {
+    // Without this the browser never restores the context
+    e.preventDefault();
+    console.warn('WebGL context lost, waiting for it to be restored');
+    this.contextLost = true;
+    this.cancelFrame();
+
+    if (this.onContextLost) {
+      this.onContextLost();
+    }
+  }
+
+  handleContextRestored() {
+    console.log('WebGL context restored');
+    this.contextLost = false;
+
+    if (this.onContextRestored) {
+      this.onContextRestored();
+    }
+    this.invalidate();
+  }
+
+  // Start the real-time render loop
+  start() {
+    this.running = true;
+    this.invalidate();
+  }
+
+  // Stop the real-time render loop, frames can still be drawn with render()
+  stop() {
+    this.running = false;
+    this.cancelFrame();
+  }
+
+  // Draw a frame soon, after changing the scene while rendering on demand
+  invalidate() {
+    this.needsRender = true;
+    this.requestFrame();
+  }
+
+  isVisible() {
+    return !this.pauseWhenHidden || (this.onScreen && !document.hidden);
+  }
+
+  // Sleep while hidden, catch up with a fresh frame when shown again
+  updateVisibility() {
+    if (this.isVisible()) {
+      this.invalidate();
+    } else {
+      this.cancelFrame();
+    }
+  }
+
+  requestFrame() {
+    if (this.frameId === null && this.running && !this.contextLost && this.isVisible()) {
+      this.frameId = requestAnimationFrame(this.tick);
+    }
+  }
+
+  cancelFrame() {
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  tick(time) {
+    this.frameId = null;
+
+    // Nothing moves: stay idle until the next invalidate()
+    const active = !this.renderOnDemand || this.needsRender || !!this.controls ||
+      (this.isAnimating !== null && this.isAnimating());
+    if (!active) return;
+
+    // Skip display refreshes that come too soon for the cap, with a
+    // millisecond of slack for refresh intervals that jitter
+    if (this.maxFps && time - this.lastFrameTime < 1000 / this.maxFps - 1) {
+      this.requestFrame();
+      return;
+    }
+
+    this.lastFrameTime = time;
+    this.needsRender = false;
+    this.update();
+    this.render();
+    this.requestFrame();
+  }
+
+  update() {
+    if (this.controls) {
+      this.controls.update();
+    }
+  }
+
+  render() {
+    this.renderer.render(this.scene, this.camera);
+    this.frameCount++;
+  }
+
+  resize() {
+    if (this.fixedSize) {
+      const { width, height } = this.fixedSize;
+      // Keep the CSS size so the page layout doesn't jump
+      this.renderer.setSize(width, height, false);
+      this.applySize(width, height);
+      return;
+    }
+
+    // Fall back to the window size while the container has no layout
+    const width = this.container.clientWidth || window.innerWidth;
+    const height = this.container.clientHeight || window.innerHeight;
+
+    this.renderer.setSize(width, height);
+    this.applySize(width, height);
+  }
+
+  applySize(width, height) {
+    this.size = { width, height };
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+
+    if (this.onResize) {
+      this.onResize(this.size);
+    }
+    this.invalidate();
+  }
+
+  // Render at an exact pixel size regardless of the container, e.g. for export.
+  // Pass null to follow the container again.
+  setFixedSize(size) {
+    if (size && !this.fixedSize) {
+      this.savedPixelRatio = this.renderer.getPixelRatio();
+      this.renderer.setPixelRatio(1);
+    } else if (!size && this.fixedSize) {
+      this.renderer.setPixelRatio(this.savedPixelRatio);
+    }
+
+    this.fixedSize = size;
+    this.resize();
+  }
+
+  // Stop rendering and release the WebGL context
+  destroy() {
+    this.stop();
+    this.resizeObserver.disconnect();
+    this.intersectionObserver.disconnect();
+    document.removeEventListener('visibilitychange', this.updateVisibility);
+    this.renderer.domElement.removeEventListener('webglcontextlost', this.handleContextLost);
+    this.renderer.domElement.removeEventListener('webglcontextrestored', this.handleContextRestored);
+
+    if (this.controls) {
+      this.controls.dispose();
+    }
+
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    this.renderer.domElement.remove();
+  }
+}
+
+function createRenderer({ renderer, antialias }) {
+  if (renderer !== 'canvas') {
+    try {
+      return new THREE.WebGLRenderer({ antialias, alpha: true });
+    } catch (err) {
+      if (renderer === 'webgl') throw err;
+      console.warn('WebGL is not available, falling back to Canvas 2D rendering', err);
+    }
+  }
+
+  return new CanvasRenderer();
+}
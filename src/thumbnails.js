@@ -0,0 +1,278 @@
+import { describeSlide } from './accessibility.js';
+import { loadVideoElement, mediaSize, releaseVideoElement } from './video.js';
+
+////////////////////
+// THUMBNAILS
+////////////////////
+
+// Thumbnail navigator built from the gallery's playlist, either as a strip
+// along the top of the gallery or as a full-screen grid overview. Thumbnails
+// come from the playlist entry's `thumbnail` URL, or are generated as small
+// canvas renderings of the image once they scroll near the viewport.
+// Clicking one jumps there with the gallery's transition.
+
+// Thumbnails generated at the same time
+const MAX_PARALLEL_LOADS = 2;
+
+// `layout` is 'strip' or 'grid'. Returns { element, layout, isOpen(), open(),
+// close(), toggle(), destroy() }, open/close only matter for the grid.
+export function createThumbnailNavigator(gallery, container, layout = 'strip') {
+  const size = gallery.config.thumbnailSize;
+  const pixelSize = Math.round(size * Math.min(2, window.devicePixelRatio || 1));
+  const objectUrls = [];
+  const queue = [];
+  let loading = 0;
+  let destroyed = false;
+
+  const nav = document.createElement('nav');
+  nav.className = `gallery-thumbnails gallery-thumbnails-${layout}`;
+  nav.setAttribute('aria-label', 'Thumbnails');
+  Object.assign(nav.style, layout === 'grid' ? {
+    position: 'absolute',
+    inset: '0',
+    overflow: 'auto',
+    padding: '24px',
+    boxSizing: 'border-box',
+    background: 'rgba(0, 0, 0, 0.85)',
+    zIndex: '2'
+  } : {
+    position: 'absolute',
+    top: '0',
+    left: '0',
+    right: '0',
+    overflowX: 'auto',
+    overflowY: 'hidden',
+    padding: '8px',
+    background: 'rgba(0, 0, 0, 0.5)',
+    zIndex: '1'
+  });
+
+  const list = document.createElement('ol');
+  Object.assign(list.style, {
+    listStyle: 'none',
+    margin: '0',
+    padding: '0',
+    gap: '8px'
+  }, layout === 'grid' ? {
+    display: 'grid',
+    gridTemplateColumns: `repeat(auto-fill, minmax(${size}px, 1fr))`
+  } : {
+    display: 'flex'
+  });
+  nav.appendChild(list);
+
+  const buttons = gallery.slides.map((slide, index) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'gallery-thumbnail';
+    button.dataset.index = index;
+    button.setAttribute('aria-label', describeSlide(gallery, index));
+    Object.assign(button.style, {
+      display: 'block',
+      width: layout === 'grid' ? '100%' : `${size}px`,
+      height: `${size}px`,
+      padding: '0',
+      border: '2px solid transparent',
+      borderRadius: '4px',
+      background: '#222',
+      cursor: 'pointer',
+      overflow: 'hidden'
+    });
+
+    const image = document.createElement('img');
+    image.alt = ''; // The button carries the label
+    Object.assign(image.style, { width: '100%', height: '100%', objectFit: 'cover', display: 'block' });
+    button.appendChild(image);
+
+    button.addEventListener('click', () => {
+      if (layout === 'grid') thumbnails.close();
+      if (index !== gallery.currentIndex) gallery.goTo(index);
+    });
+
+    item.appendChild(button);
+    list.appendChild(item);
+    return button;
+  });
+
+  // Generate thumbnails as they come near the visible part of the navigator
+  const observer = new IntersectionObserver(entries => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      observer.unobserve(entry.target);
+      queue.push(Number(entry.target.dataset.index));
+    }
+    loadNext();
+  }, { root: nav, rootMargin: `${size * 2}px` });
+  buttons.forEach(button => observer.observe(button));
+
+  function loadNext() {
+    while (loading < MAX_PARALLEL_LOADS && queue.length > 0) {
+      const index = queue.shift();
+      loading++;
+
+      thumbnailUrl(index)
+        .then(url => {
+          if (destroyed) {
+            URL.revokeObjectURL(url);
+          } else {
+            buttons[index].firstChild.src = url;
+          }
+        })
+        .catch(err => {
+          console.warn(`Could not create thumbnail for image ${index + 1}:`, err);
+          buttons[index].firstChild.style.visibility = 'hidden';
+        })
+        .finally(() => {
+          loading--;
+          if (!destroyed) loadNext();
+        });
+    }
+  }
+
+  async function thumbnailUrl(index) {
+    const slide = gallery.slides[index];
+    if (slide.thumbnail) return slide.thumbnail;
+
+    // Reuse a decoded image or video when the gallery has it cached anyway
+    const cached = gallery.textureCache.peek(index)?.image;
+    const media = cached ?? (slide.type === 'video' ? await loadVideoElement(slide.src) : await loadImage(slide.src));
+    const { width, height } = mediaSize(media);
+    const scale = Math.min(1, pixelSize / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(media, 0, 0, canvas.width, canvas.height);
+
+    // Videos loaded just for their first frame
+    if (!cached && slide.type === 'video') {
+      releaseVideoElement(media);
+    }
+
+    // A cross-origin image without CORS headers taints the canvas, show the
+    // original instead. An <img> can't show a video, that thumbnail stays empty.
+    let blob = null;
+    try {
+      blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    } catch (err) {
+      if (slide.type === 'video') throw err;
+    }
+    if (!blob) {
+      if (slide.type === 'video') throw new Error('Could not encode the video frame');
+      return slide.src;
+    }
+
+    const url = URL.createObjectURL(blob);
+    objectUrls.push(url);
+    return url;
+  }
+
+  function highlight(index) {
+    buttons.forEach((button, i) => {
+      const current = i === index;
+      button.style.borderColor = current ? '#fff' : 'transparent';
+      button.classList.toggle('is-current', current);
+      if (current) {
+        button.setAttribute('aria-current', 'true');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+
+    if (layout === 'strip' || isOpen()) {
+      reveal(buttons[index]);
+    }
+  }
+
+  // Scroll the navigator alone, scrollIntoView() would pull the page to an
+  // embedded gallery on every slide. The strip centers the button.
+  function reveal(button) {
+    const navBox = nav.getBoundingClientRect();
+    const box = button.getBoundingClientRect();
+
+    if (layout === 'strip') {
+      nav.scrollLeft += (box.left + box.width / 2) - (navBox.left + navBox.width / 2);
+    } else if (box.top < navBox.top) {
+      nav.scrollTop += box.top - navBox.top;
+    } else if (box.bottom > navBox.bottom) {
+      nav.scrollTop += box.bottom - navBox.bottom;
+    }
+  }
+
+  function isOpen() {
+    return layout === 'strip' || !nav.hidden;
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape' && layout === 'grid' && isOpen()) {
+      e.preventDefault();
+      e.stopPropagation();
+      thumbnails.close();
+    }
+  }
+
+  const removeListener = gallery.on('slidechange', ({ index }) => highlight(index));
+  nav.addEventListener('keydown', onKeyDown);
+
+  if (layout === 'grid') {
+    nav.hidden = true;
+  }
+  container.appendChild(nav);
+  highlight(gallery.currentIndex);
+
+  const thumbnails = {
+    element: nav,
+    layout,
+    isOpen,
+    open() {
+      if (isOpen()) return;
+      nav.hidden = false;
+      highlight(gallery.currentIndex);
+      buttons[gallery.currentIndex].focus();
+    },
+    close() {
+      if (layout !== 'grid' || !isOpen()) return;
+      nav.hidden = true;
+      container.focus();
+    },
+    toggle() {
+      if (isOpen()) {
+        thumbnails.close();
+      } else {
+        thumbnails.open();
+      }
+    },
+    destroy() {
+      destroyed = true;
+      removeListener();
+      observer.disconnect();
+      nav.remove();
+      objectUrls.forEach(url => URL.revokeObjectURL(url));
+    }
+  };
+
+  return thumbnails;
+}
+
+// Images on other origins are requested with CORS so they can be scaled down
+// on a canvas. A server that doesn't allow it fails that request, the image
+// is loaded again without CORS and taints the canvas instead.
+async function loadImage(src) {
+  const crossOrigin = new URL(src, location.href).origin !== location.origin;
+  try {
+    return await loadImageElement(src, crossOrigin ? 'anonymous' : null);
+  } catch (err) {
+    if (!crossOrigin) throw err;
+    return loadImageElement(src, null);
+  }
+}
+
+function loadImageElement(src, crossOrigin) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = crossOrigin;
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load ${src}`));
+    image.src = src;
+  });
+}
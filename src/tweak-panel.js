@@ -0,0 +1,218 @@
+import { listEffects, getEffect } from './effects.js';
+import { DELAY_PATTERNS } from './delay-maps.js';
+
+////////////////////
+// TWEAK PANEL
+////////////////////
+
+// A panel over the top right of the gallery for dialing in the look without
+// editing code: timing, effect, layout and the params of the effect in use.
+// Changes go through gallery.setOption(), and the current slide is rebuilt
+// to play its entrance with the new look. "Copy settings" puts a link with the changed settings on the clipboard
+// (the page has to enable urlOptions for the link to apply them).
+
+// Settings offered in the panel, the params of the effect follow them.
+// Changing one with `replay` rebuilds the current slide.
+const FIELDS = [
+  { key: 'transitionEffect', label: 'Effect', options: () => [...listEffects(), 'random'], replay: true },
+  { key: 'transitionDuration', label: 'Duration (s)', step: 0.1, replay: true },
+  { key: 'transitionAxis', label: 'Axis', options: () => ['horizontal', 'vertical'], replay: true },
+  { key: 'autoAdvance', label: 'Auto-advance' },
+  { key: 'autoAdvanceDelay', label: 'Delay (s)', step: 0.5 },
+  { key: 'delayMap', label: 'Delay map', options: () => ['none', ...Object.keys(DELAY_PATTERNS)], replay: true },
+  { key: 'delayMapOut', label: 'Outgoing map', options: () => ['same', 'inverted', ...Object.keys(DELAY_PATTERNS)] },
+  { key: 'seed', label: 'Seed', text: true, replay: true },
+  { key: 'fit', label: 'Fit', options: () => ['contain', 'cover', 'fill', 'fixed'] },
+  { key: 'fitPadding', label: 'Padding (px)', step: 1 },
+  { key: 'fov', label: 'Field of view', step: 1 },
+  { key: 'cameraDistance', label: 'Camera distance', step: 1 }
+];
+
+// Returns a function that removes the panel
+export function createTweakPanel(gallery, container) {
+  const panel = document.createElement('details');
+  panel.className = 'gallery-tweak-panel';
+  panel.open = true;
+  Object.assign(panel.style, {
+    position: 'absolute',
+    top: '8px',
+    right: '8px',
+    width: '240px',
+    maxHeight: 'calc(100% - 16px)',
+    overflowY: 'auto',
+    boxSizing: 'border-box',
+    padding: '8px 12px',
+    borderRadius: '4px',
+    background: 'rgba(0, 0, 0, 0.75)',
+    color: '#fff',
+    font: '12px/1.4 sans-serif',
+    zIndex: '3'
+  });
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Tweak';
+  summary.style.cursor = 'pointer';
+  panel.appendChild(summary);
+
+  const settings = document.createElement('div');
+  panel.appendChild(settings);
+  FIELDS.forEach(field => settings.appendChild(createField(field, gallery.config[field.key], value => {
+    gallery.setOption(field.key, value);
+    if (field.replay) gallery.replaySlide();
+  })));
+
+  const paramsHeading = document.createElement('strong');
+  paramsHeading.style.display = 'block';
+  paramsHeading.style.marginTop = '8px';
+  panel.appendChild(paramsHeading);
+  const params = document.createElement('div');
+  panel.appendChild(params);
+
+  // A random pick shows the params of the effect on screen
+  let shownEffect = null;
+  function renderParams() {
+    const setting = gallery.config.transitionEffect;
+    const effectName = typeof setting === 'string' && setting !== 'random'
+      ? setting
+      : gallery.currentSlide?.effectName;
+    const effect = effectName && getEffect(effectName);
+    if (!effect || effect.name === shownEffect) return;
+
+    shownEffect = effect.name;
+    paramsHeading.textContent = `${effect.name} params`;
+    params.replaceChildren(...Object.entries(effect.params ?? {}).map(([param, defaultValue]) => createField(
+      { key: param, label: param, step: stepFor(defaultValue) },
+      gallery.effectParams(effect.name)?.[param] ?? defaultValue,
+      value => {
+        gallery.setOption(`${effect.name}.${param}`, value);
+        gallery.replaySlide();
+      }
+    )));
+    if (!effect.params) {
+      params.textContent = 'No params';
+    }
+  }
+  renderParams();
+
+  const buttons = document.createElement('div');
+  Object.assign(buttons.style, { display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '8px' });
+  panel.appendChild(buttons);
+
+  function addButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    buttons.appendChild(button);
+    return button;
+  }
+
+  addButton('Previous', () => gallery.previous());
+  addButton('Play next', () => gallery.next());
+  addButton('Reset params', () => {
+    if (!shownEffect) return;
+    const effect = getEffect(shownEffect);
+    Object.entries(effect.params ?? {}).forEach(([param, value]) => gallery.setOption(`${effect.name}.${param}`, value));
+    shownEffect = null;
+    renderParams();
+    gallery.replaySlide();
+  });
+  const copyButton = addButton('Copy settings', async () => {
+    const query = gallery.settingsQuery();
+    const url = `${location.origin}${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      copyButton.textContent = 'Copied';
+    } catch (err) {
+      console.log('Gallery settings:', url);
+      copyButton.textContent = 'See console';
+    }
+    setTimeout(() => { copyButton.textContent = 'Copy settings'; }, 1500);
+  });
+
+  // Keep arrow keys and Space in the inputs away from the gallery's keyboard controls
+  const stopKeys = e => e.stopPropagation();
+  panel.addEventListener('keydown', stopKeys);
+
+  const removeListeners = [
+    gallery.on('optionchange', ({ key }) => {
+      if (key === 'transitionEffect') renderParams();
+    }),
+    gallery.on('slidechange', renderParams)
+  ];
+
+  container.appendChild(panel);
+
+  return () => {
+    removeListeners.forEach(remove => remove());
+    panel.remove();
+  };
+}
+
+// A labelled input for one setting, `onChange` gets the parsed value and may throw for invalid ones
+function createField({ key, label, options, step, text }, value, onChange) {
+  const row = document.createElement('label');
+  Object.assign(row.style, { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', marginTop: '4px' });
+  row.append(label);
+
+  let input;
+  let extra = null; // { text, value } of a select entry for a value not among the options
+  if (options) {
+    input = document.createElement('select');
+    for (const name of options()) {
+      input.appendChild(new Option(name, name));
+    }
+    // An array of effects or an image URL has no entry of its own
+    const shown = value === null ? 'none' : String(value);
+    if (!options().includes(shown)) {
+      extra = { text: shown, value };
+      input.appendChild(new Option(shown, shown));
+    }
+    input.value = shown;
+  } else if (typeof value === 'boolean') {
+    input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = value;
+  } else {
+    input = document.createElement('input');
+    input.type = text ? 'text' : 'number';
+    if (step) input.step = String(step);
+    input.value = value ?? '';
+    input.style.width = '72px';
+  }
+  input.name = key;
+
+  input.addEventListener('change', () => {
+    let parsed;
+    if (input.type === 'checkbox') {
+      parsed = input.checked;
+    } else if (options) {
+      // Selecting such an entry again restores the array or URL it stands for
+      parsed = extra && input.value === extra.text ? extra.value : input.value === 'none' ? null : input.value;
+    } else if (input.type === 'number') {
+      parsed = input.value === '' ? null : Number(input.value);
+    } else {
+      parsed = input.value === '' ? null : input.value;
+    }
+
+    try {
+      onChange(parsed);
+      input.removeAttribute('aria-invalid');
+      input.title = '';
+      input.style.outline = '';
+    } catch (err) {
+      input.setAttribute('aria-invalid', 'true');
+      input.title = err.message;
+      input.style.outline = '2px solid #f66';
+    }
+  });
+
+  row.appendChild(input);
+  return row;
+}
+
+// Input step of about a hundredth of the default value
+function stepFor(value) {
+  if (value === 0) return 0.01;
+  return 10 ** Math.floor(Math.log10(Math.abs(value)) - 1);
+}
@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+
+////////////////////
+// VIDEO SLIDES
+////////////////////
+
+// Video slides are drawn through a THREE.VideoTexture on the same slide
+// geometry as images, so every effect works for them. A video only plays
+// while its slide is on screen: it starts from the beginning when its
+// transition starts and pauses once it has left. With videoAutoplay off it
+// waits on its first frame until the user starts it, with a click on the
+// slide, the K key or gallery.toggleVideo().
+
+// Load a video far enough to know its size and show its first frame
+export function loadVideoElement(src) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true; // Unmuted on show when the settings ask for sound
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    video.addEventListener('loadeddata', () => resolve(video), { once: true });
+    video.addEventListener('error', () => {
+      releaseVideoElement(video);
+      reject(new Error(`Failed to load video '${src}'`));
+    }, { once: true });
+
+    video.src = src;
+  });
+}
+
+export async function loadVideoTexture(src) {
+  return new THREE.VideoTexture(await loadVideoElement(src));
+}
+
+// Stop a video and let the browser free its decoder and buffers
+export function releaseVideoElement(video) {
+  video.pause();
+  video.removeAttribute('src');
+  video.load();
+}
+
+// Pixel size of an image, canvas or video element. Videos report their
+// size through videoWidth/videoHeight, their width/height are the layout size.
+export function mediaSize(media) {
+  if (media instanceof HTMLVideoElement) {
+    return { width: media.videoWidth, height: media.videoHeight };
+  }
+  return { width: media.width, height: media.height };
+}
+
+// Play the video slides on screen and pause the rest, following the gallery's
+// transitions, pause state and visibility. Returns { toggle, destroy }.
+export function setupVideoPlayback(gallery) {
+  const active = new Set(); // Videos of the slides on screen
+  const watched = new WeakSet(); // Videos with an 'ended' listener
+  const choices = new WeakMap(); // video -> true or false, the user started or stopped it since it was shown
+  let current = null; // Video of the current slide
+  let intersecting = true; // The gallery element is scrolled into view
+
+  function videoOf(slide) {
+    const texture = slide && slide.texture;
+    return texture && texture.isVideoTexture ? texture.image : null;
+  }
+
+  function shouldPlay() {
+    const onScreen = intersecting && !document.hidden;
+    return !gallery.isPaused && (onScreen || !gallery.config.videoPauseOffscreen);
+  }
+
+  function play(video) {
+    if (!shouldPlay() || !(choices.get(video) ?? gallery.config.videoAutoplay)) return;
+
+    video.play().catch(err => {
+      // Browsers only autoplay muted videos without a user gesture
+      if (err.name === 'NotAllowedError' && !video.muted) {
+        console.warn('Autoplay with sound was blocked, playing the video muted');
+        video.muted = true;
+        return video.play();
+      }
+      throw err;
+    }).catch(err => console.warn('Could not play video:', err));
+  }
+
+  // Apply the slide's settings and start the video from the beginning
+  function show(video, index) {
+    const advance = gallery.setting(index, 'videoAdvanceOnEnd');
+    video.muted = gallery.setting(index, 'videoMuted');
+    video.loop = gallery.setting(index, 'videoLoop') && !advance;
+    video.currentTime = 0;
+    choices.delete(video);
+
+    if (!watched.has(video)) {
+      watched.add(video);
+      video.addEventListener('ended', () => {
+        if (video === current && gallery.setting(gallery.currentIndex, 'videoAdvanceOnEnd')) {
+          gallery.next();
+        }
+      });
+      // Rendering on demand stops while every video is paused, wake it up
+      // whatever started this one again
+      video.addEventListener('playing', () => gallery.root.invalidate());
+    }
+
+    active.add(video);
+    play(video);
+  }
+
+  // Pause every video that is no longer on screen
+  function settle() {
+    current = videoOf(gallery.currentSlide);
+    const incoming = videoOf(gallery.nextSlide);
+
+    for (const video of active) {
+      if (video !== current && video !== incoming) {
+        video.pause();
+        active.delete(video);
+      }
+    }
+  }
+
+  function updatePlayback() {
+    for (const video of active) {
+      if (shouldPlay()) {
+        play(video);
+      } else {
+        video.pause();
+      }
+    }
+  }
+
+  const removeListeners = [
+    gallery.on('transitionstart', ({ to }) => {
+      const video = videoOf(gallery.nextSlide);
+      if (video) show(video, to);
+    }),
+    gallery.on('slidechange', ({ index }) => {
+      const video = videoOf(gallery.currentSlide);
+      // The first slide, or one caught by an interruption, hasn't been started yet
+      if (video && !active.has(video)) show(video, index);
+      settle();
+    }),
+    gallery.on('transitioncancel', settle),
+    gallery.on('pausechange', updatePlayback)
+  ];
+
+  const observer = new IntersectionObserver(entries => {
+    intersecting = entries[entries.length - 1].isIntersecting;
+    updatePlayback();
+  });
+  observer.observe(gallery.element);
+
+  document.addEventListener('visibilitychange', updatePlayback);
+
+  // A click on the slide, not one ending a drag that started a transition
+  const canvas = gallery.root.renderer.domElement;
+  const onClick = () => {
+    if (!gallery.isTransitioning) toggle();
+  };
+  canvas.addEventListener('click', onClick);
+
+  // Start or stop the current slide's video at the user's request. Returns
+  // whether it is meant to play now.
+  function toggle() {
+    if (!current) return false;
+
+    const wanted = current.paused;
+    choices.set(current, wanted);
+    if (wanted) {
+      play(current);
+    } else {
+      current.pause();
+    }
+    return wanted;
+  }
+
+  return {
+    toggle,
+    destroy() {
+      removeListeners.forEach(remove => remove());
+      observer.disconnect();
+      document.removeEventListener('visibilitychange', updatePlayback);
+      canvas.removeEventListener('click', onClick);
+      active.forEach(video => video.pause());
+      active.clear();
+    }
+  };
+}